@@ -0,0 +1,71 @@
+const rapidApiService = require('../services/rapidApiService');
+const catalogService = require('../services/catalogService');
+const logger = require('../utils/logger');
+const { scheduleJob, intervalFromEnv, parseList } = require('./scheduler');
+const ChangesFeedReader = require('./changesFeed');
+
+const SYNC_INTERVAL_MINUTES = intervalFromEnv(process.env.CATALOG_SYNC_INTERVAL_MINUTES, 60);
+const SYNC_COUNTRIES = parseList(process.env.CATALOG_SYNC_COUNTRIES, ['us']);
+const SYNC_CATALOGS = parseList(process.env.CATALOG_SYNC_CATALOGS, ['netflix', 'prime', 'disney', 'hbo', 'apple']);
+// Upper bound on pages read from one feed per run, to protect the API quota
+const SYNC_MAX_PAGES = parseInt(process.env.CATALOG_SYNC_MAX_PAGES, 10) || 20;
+
+const FEEDS = {
+  new: (country, options) => rapidApiService.getNewReleases(country, SYNC_CATALOGS, options),
+  expiring: (country, options) => rapidApiService.getExpiringContent(country, SYNC_CATALOGS, options)
+};
+
+let running = false;
+let lastRun = null;
+
+const feedReader = new ChangesFeedReader('Catalog sync', { maxPages: SYNC_MAX_PAGES });
+
+// Pull new and expiring titles from the changes feed into the local catalog
+const runCatalogSync = async () => {
+  if (running) {
+    logger.warn('Catalog sync already running, skipping');
+    return null;
+  }
+
+  running = true;
+  const startedAt = new Date();
+  const summary = { stored: 0, changes: 0, errors: 0 };
+
+  try {
+    for (const country of SYNC_COUNTRIES) {
+      for (const feed of Object.keys(FEEDS)) {
+        try {
+          await feedReader.read(
+            `${country}:${feed}`,
+            startedAt,
+            options => FEEDS[feed](country, options),
+            async (response) => {
+              const result = await catalogService.applyChanges(response, country);
+              summary.stored += result.stored;
+              summary.changes += result.changes;
+            }
+          );
+        } catch (error) {
+          summary.errors++;
+          logger.error(`Catalog sync failed for ${country} ${feed}:`, error.message);
+        }
+      }
+    }
+
+    lastRun = { ...summary, startedAt, finishedAt: new Date() };
+    logger.info(`Catalog sync finished: ${summary.stored} titles stored, ${summary.changes} changes, ${summary.errors} errors`);
+    return lastRun;
+  } finally {
+    running = false;
+  }
+};
+
+const startCatalogSync = () => scheduleJob('Catalog sync', SYNC_INTERVAL_MINUTES, runCatalogSync);
+
+const getCatalogSyncStatus = () => ({ running, lastRun, lastSeen: feedReader.status() });
+
+module.exports = {
+  runCatalogSync,
+  startCatalogSync,
+  getCatalogSyncStatus
+};
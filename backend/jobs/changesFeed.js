@@ -0,0 +1,51 @@
+const logger = require('../utils/logger');
+
+// Reads /changes feeds page by page, each run starting where the last one got
+// to. Progress is kept in memory, so after a restart a feed is read from the
+// start again and consumers must skip changes they have already handled.
+class ChangesFeedReader {
+  constructor(name, { maxPages }) {
+    this.name = name;
+    // Upper bound on pages read from one feed per run, to protect the API quota
+    this.maxPages = maxPages;
+    // Unix time each feed has been read up to
+    this.lastSeen = new Map();
+  }
+
+  // `fetchPage({ from, cursor })` returns a /changes response and
+  // `handlePage(response)` processes it
+  async read(key, startedAt, fetchPage, handlePage) {
+    const from = this.lastSeen.get(key);
+    let newest = from || 0;
+    let cursor;
+    let pages = 0;
+
+    do {
+      const response = await fetchPage({ from, cursor });
+      await handlePage(response);
+
+      ((response && response.changes) || []).forEach(change => {
+        newest = Math.max(newest, change.timestamp || 0);
+      });
+
+      cursor = response && response.hasMore ? response.nextCursor : null;
+      pages++;
+    } while (cursor && pages < this.maxPages);
+
+    if (cursor) {
+      // Picked up again from the same point next run
+      logger.warn(`${this.name} stopped ${key} after ${pages} pages`);
+      return;
+    }
+
+    // Expiring changes are dated in the future; anything before this run has
+    // already happened, so that's as far as it is safe to skip
+    this.lastSeen.set(key, Math.min(newest, Math.floor(startedAt.getTime() / 1000)));
+  }
+
+  status() {
+    return Object.fromEntries(this.lastSeen);
+  }
+}
+
+module.exports = ChangesFeedReader;
@@ -0,0 +1,31 @@
+const logger = require('../utils/logger');
+
+// Run a job every `minutes` (skipped when <= 0), never overlapping with itself
+const scheduleJob = (name, minutes, run) => {
+  if (minutes <= 0) {
+    logger.info(`${name} disabled`);
+    return null;
+  }
+
+  logger.info(`${name} scheduled every ${minutes} minutes`);
+  const timer = setInterval(() => {
+    run().catch(error => logger.error(`${name} error:`, error));
+  }, minutes * 60 * 1000);
+
+  // Don't keep the process alive just for background jobs
+  timer.unref();
+  return timer;
+};
+
+const intervalFromEnv = (value, fallback) => {
+  const minutes = parseInt(value, 10);
+  return isNaN(minutes) ? fallback : minutes;
+};
+
+const parseList = (value, fallback) => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : fallback);
+
+module.exports = {
+  scheduleJob,
+  intervalFromEnv,
+  parseList
+};
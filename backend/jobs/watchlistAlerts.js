@@ -0,0 +1,118 @@
+const User = require('../models/User');
+const rapidApiService = require('../services/rapidApiService');
+const watchlistAlertService = require('../services/watchlistAlertService');
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+const { scheduleJob, intervalFromEnv, parseList } = require('./scheduler');
+const ChangesFeedReader = require('./changesFeed');
+
+const ALERTS_INTERVAL_MINUTES = intervalFromEnv(process.env.WATCHLIST_ALERTS_INTERVAL_MINUTES, 60);
+// Services polled for users who haven't saved their own
+const DEFAULT_CATALOGS = parseList(process.env.WATCHLIST_ALERTS_CATALOGS, ['netflix', 'prime', 'disney', 'hbo', 'apple']);
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'us').toLowerCase();
+const ALERTS_MAX_PAGES = parseInt(process.env.WATCHLIST_ALERTS_MAX_PAGES, 10) || 20;
+
+const FEEDS = {
+  new: (country, catalogs, options) => rapidApiService.getNewReleases(country, catalogs, options),
+  expiring: (country, catalogs, options) => rapidApiService.getExpiringContent(country, catalogs, options)
+};
+
+let running = false;
+let lastRun = null;
+
+const feedReader = new ChangesFeedReader('Watchlist alerts', { maxPages: ALERTS_MAX_PAGES });
+
+// Group users with a watchlist by country, together with the services to poll there
+const groupUsersByCountry = (users) => {
+  const groups = {};
+
+  for (const user of users) {
+    const country = (user.preferences && user.preferences.country) || DEFAULT_COUNTRY;
+    const services = (user.preferences && user.preferences.services) || [];
+
+    if (!groups[country]) {
+      groups[country] = { users: [], catalogs: new Set() };
+    }
+
+    groups[country].users.push(user);
+    (services.length > 0 ? services : DEFAULT_CATALOGS).forEach(service => groups[country].catalogs.add(service));
+  }
+
+  return groups;
+};
+
+const describeAlert = (alert) => {
+  const title = alert.title || 'A title on your watchlist';
+  const arriving = alert.changeType === 'new';
+
+  return {
+    title: arriving ? `Now on ${alert.service.name}` : `Leaving ${alert.service.name} soon`,
+    message: arriving
+      ? `${title} is now available on ${alert.service.name}.`
+      : `${title} leaves ${alert.service.name} on ${alert.expiresOn.toDateString()}.`,
+    data: { contentId: alert.contentId, service: alert.service.id, changeType: alert.changeType, link: alert.link }
+  };
+};
+
+// Poll the changes feed and turn arrivals/departures into alerts for watchlisted titles
+const runWatchlistAlerts = async () => {
+  if (running) {
+    logger.warn('Watchlist alerts already running, skipping');
+    return null;
+  }
+
+  running = true;
+  const startedAt = new Date();
+  const summary = { users: 0, created: 0, errors: 0 };
+
+  try {
+    const users = await User.find({ isActive: true, 'watchlist.0': { $exists: true } })
+      .select('watchlist preferences.country preferences.services')
+      .lean();
+    summary.users = users.length;
+
+    const groups = groupUsersByCountry(users);
+
+    for (const [country, group] of Object.entries(groups)) {
+      const catalogs = [...group.catalogs].sort();
+
+      for (const feed of Object.keys(FEEDS)) {
+        try {
+          // Keyed by the services polled too: a newly added service is read from the start
+          await feedReader.read(
+            `${country}:${feed}:${catalogs.join(',')}`,
+            startedAt,
+            options => FEEDS[feed](country, catalogs, options),
+            async (response) => {
+              const created = await watchlistAlertService.createFromChanges(response, country, group.users);
+              summary.created += created.length;
+
+              for (const alert of created) {
+                await notificationService.notify(alert.userId, 'watchlist_alert', describeAlert(alert));
+              }
+            }
+          );
+        } catch (error) {
+          summary.errors++;
+          logger.error(`Watchlist alerts failed for ${country} ${feed}:`, error.message);
+        }
+      }
+    }
+
+    lastRun = { ...summary, startedAt, finishedAt: new Date() };
+    logger.info(`Watchlist alerts finished: ${summary.created} new alerts for ${summary.users} users, ${summary.errors} errors`);
+    return lastRun;
+  } finally {
+    running = false;
+  }
+};
+
+const startWatchlistAlerts = () => scheduleJob('Watchlist alerts', ALERTS_INTERVAL_MINUTES, runWatchlistAlerts);
+
+const getWatchlistAlertsStatus = () => ({ running, lastRun, lastSeen: feedReader.status() });
+
+module.exports = {
+  runWatchlistAlerts,
+  startWatchlistAlerts,
+  getWatchlistAlertsStatus
+};
@@ -2,6 +2,23 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const logger = require('../utils/logger');
 
+// Admins must have 2FA enabled and have used it to sign in
+const ADMIN_REQUIRE_TWO_FACTOR = process.env.ADMIN_REQUIRE_TWO_FACTOR !== 'false';
+
+// User an access token belongs to. Tokens tied to a session stop working as
+// soon as the session is revoked.
+const findTokenUser = async (decoded) => {
+  // Challenge and verification tokens carry no userId
+  if (!decoded.userId) return null;
+
+  const query = { _id: decoded.userId };
+  if (decoded.sid) {
+    query['refreshTokens.sessionId'] = decoded.sid;
+  }
+
+  return await User.findOne(query).select('-password -refreshTokens');
+};
+
 const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization'];
@@ -12,13 +29,15 @@ const authenticateToken = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-    const user = await User.findById(decoded.userId).select('-password -refreshTokens');
+    const user = await findTokenUser(decoded);
 
     if (!user || !user.isActive) {
       return res.status(401).json({ message: 'Invalid token or user not found' });
     }
 
     req.user = user;
+    // Token claims, e.g. whether the session passed two-factor authentication
+    req.auth = decoded;
     next();
   } catch (error) {
     logger.error('Authentication error:', error);
@@ -41,6 +60,13 @@ const authenticateAdmin = async (req, res, next) => {
       if (req.user.role !== 'admin') {
         return res.status(403).json({ message: 'Admin access required' });
       }
+      if (ADMIN_REQUIRE_TWO_FACTOR && (!req.user.twoFactor.enabled || !req.auth.mfa)) {
+        return res.status(403).json({
+          message: req.user.twoFactor.enabled
+            ? 'Sign in again with your two-factor code to use admin features'
+            : 'Two-factor authentication must be enabled for admin access'
+        });
+      }
       next();
     });
   } catch (error) {
@@ -55,10 +81,11 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-      const user = await User.findById(decoded.userId).select('-password -refreshTokens');
+      const user = await findTokenUser(decoded);
       
       if (user && user.isActive) {
         req.user = user;
+        req.auth = decoded;
       }
     }
     
@@ -69,8 +96,19 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+// Community actions (reviews, comments, reactions, reports) need a confirmed
+// email address. Runs after authenticateToken.
+const requireVerifiedEmail = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+  next();
+};
+
 module.exports = {
+  ADMIN_REQUIRE_TWO_FACTOR,
   authenticateToken,
   authenticateAdmin,
-  optionalAuth
+  optionalAuth,
+  requireVerifiedEmail
 };
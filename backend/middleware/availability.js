@@ -0,0 +1,22 @@
+// Expose the caller's streaming services as req.availability for content listings.
+// ?mine=true restricts a listing to those services and needs a signed in user
+// with services saved in preferences. Must run after optionalAuth.
+const resolveServices = (req, res, next) => {
+  const mine = req.query.mine === 'true';
+  const services = (req.user && req.user.preferences && req.user.preferences.services) || [];
+
+  if (mine && !req.user) {
+    return res.status(401).json({ message: 'Sign in to browse your streaming services' });
+  }
+
+  if (mine && services.length === 0) {
+    return res.status(400).json({ message: 'Add your streaming services in preferences first' });
+  }
+
+  req.availability = { mine, services };
+  next();
+};
+
+module.exports = {
+  resolveServices
+};
@@ -42,6 +42,10 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 429 };
   }
 
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
@@ -0,0 +1,72 @@
+const DEFAULT_COUNTRY = (process.env.DEFAULT_COUNTRY || 'us').toLowerCase();
+
+// Header set by a proxy/CDN with the client's country, e.g. cf-ipcountry
+const GEO_COUNTRY_HEADER = process.env.GEO_COUNTRY_HEADER && process.env.GEO_COUNTRY_HEADER.toLowerCase();
+
+// Set REGION_DETECTION=false to skip the IP and Accept-Language fallbacks
+const DETECTION_ENABLED = process.env.REGION_DETECTION !== 'false';
+
+const COUNTRY_PATTERN = /^[a-z]{2}$/;
+
+// "en-GB,en;q=0.9" -> "gb"
+const countryFromAcceptLanguage = (header) => {
+  if (!header) return null;
+
+  for (const part of header.split(',')) {
+    const [tag] = part.trim().split(';');
+    const region = tag.split('-')[1];
+
+    if (region && COUNTRY_PATTERN.test(region.toLowerCase())) {
+      return region.toLowerCase();
+    }
+  }
+
+  return null;
+};
+
+const detectCountry = (req) => {
+  if (GEO_COUNTRY_HEADER) {
+    const fromIp = (req.headers[GEO_COUNTRY_HEADER] || '').toLowerCase();
+    // Cloudflare reports XX for unknown and T1 for Tor
+    if (COUNTRY_PATTERN.test(fromIp) && fromIp !== 'xx') {
+      return { country: fromIp, source: 'ip' };
+    }
+  }
+
+  const fromLanguage = countryFromAcceptLanguage(req.headers['accept-language']);
+  if (fromLanguage) {
+    return { country: fromLanguage, source: 'accept-language' };
+  }
+
+  return null;
+};
+
+// Resolve the country used for streaming availability and expose it as req.region.
+// Order: ?country=, the signed in user's preference, IP/Accept-Language, then DEFAULT_COUNTRY.
+// Must run after optionalAuth/authenticateToken so req.user is populated.
+const resolveCountry = (req, res, next) => {
+  const { country } = req.query;
+
+  if (country !== undefined) {
+    const requested = String(country).toLowerCase();
+
+    if (!COUNTRY_PATTERN.test(requested)) {
+      return res.status(400).json({ message: 'Country must be a two letter country code' });
+    }
+
+    req.region = { country: requested, source: 'query' };
+    return next();
+  }
+
+  if (req.user && req.user.preferences && req.user.preferences.country) {
+    req.region = { country: req.user.preferences.country, source: 'user' };
+    return next();
+  }
+
+  req.region = (DETECTION_ENABLED && detectCountry(req)) || { country: DEFAULT_COUNTRY, source: 'default' };
+  next();
+};
+
+module.exports = {
+  resolveCountry
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const availabilityService = require('../services/availabilityService');
 
 const validateRequest = (schema) => {
   return (req, res, next) => {
@@ -30,15 +31,62 @@ const schemas = {
     password: Joi.string().required()
   }),
 
+  forgotPassword: Joi.object({
+    email: Joi.string().email().required()
+  }),
+
+  resetPassword: Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(6).required()
+  }),
+
+  verifyEmail: Joi.object({
+    token: Joi.string().required()
+  }),
+
+  twoFactorCode: Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required()
+  }),
+
+  twoFactorLogin: Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20)
+  }).xor('code', 'recoveryCode'),
+
+  twoFactorDisable: Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20)
+  }).xor('code', 'recoveryCode'),
+
   updateProfile: Joi.object({
     firstName: Joi.string().max(50),
     lastName: Joi.string().max(50),
     profileImage: Joi.string().uri()
   }),
 
+  preferences: Joi.object({
+    genres: Joi.array().items(Joi.string()).unique(),
+    language: Joi.string().max(10),
+    country: Joi.string().pattern(/^[a-zA-Z]{2}$/).lowercase(),
+    services: Joi.array().items(Joi.string().valid(...availabilityService.supportedServices)).unique(),
+    autoplay: Joi.boolean(),
+    notifications: Joi.object({
+      account: Joi.boolean(),
+      role_changed: Joi.boolean(),
+      review_liked: Joi.boolean(),
+      review_moderated: Joi.boolean(),
+      watchlist_alert: Joi.boolean()
+    }).min(1)
+  }).min(1),
+
   changePassword: Joi.object({
     currentPassword: Joi.string().required(),
-    newPassword: Joi.string().min(6).required()
+    newPassword: Joi.string().min(6).required(),
+    // The session to keep signed in, needed only when the access token has no
+    // session id (issued before sessions were tracked)
+    refreshToken: Joi.string()
   }),
 
   review: Joi.object({
@@ -46,7 +94,33 @@ const schemas = {
     contentType: Joi.string().valid('movie', 'tv').required(),
     rating: Joi.number().min(1).max(10).required(),
     title: Joi.string().max(100).required(),
-    content: Joi.string().max(1000).required()
+    content: Joi.string().max(1000).required(),
+    isSpoiler: Joi.boolean(),
+    seasonNumber: Joi.number().integer().min(1),
+    episodeNumber: Joi.number().integer().min(1)
+  }).with('episodeNumber', 'seasonNumber'),
+
+  comment: Joi.object({
+    content: Joi.string().trim().min(1).max(1000).required(),
+    parentId: Joi.string().hex().length(24)
+  }),
+
+  commentUpdate: Joi.object({
+    content: Joi.string().trim().min(1).max(1000).required()
+  }),
+
+  reviewReport: Joi.object({
+    // Checked against Review.REPORT_REASONS in the route
+    reason: Joi.string().required(),
+    details: Joi.string().max(500)
+  }),
+
+  reviewModeration: Joi.object({
+    action: Joi.string().valid('approve', 'hide', 'remove').required(),
+    reason: Joi.string().max(500).when('action', {
+      is: 'approve',
+      otherwise: Joi.required()
+    })
   }),
 
   watchlistItem: Joi.object({
@@ -60,6 +134,17 @@ const schemas = {
     progress: Joi.number().min(0).max(100),
     seasonNumber: Joi.number().min(1),
     episodeNumber: Joi.number().min(1)
+  }),
+
+  genreUpdate: Joi.object({
+    displayName: Joi.string().max(50).allow(null),
+    localizedNames: Joi.object().pattern(Joi.string().max(10), Joi.string().max(50)),
+    hidden: Joi.boolean(),
+    order: Joi.number().integer().min(0)
+  }).min(1),
+
+  genreOrder: Joi.object({
+    genreIds: Joi.array().items(Joi.string()).unique().min(1).required()
   })
 };
 
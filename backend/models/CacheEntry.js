@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const cacheEntrySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  hits: {
+    type: Number,
+    default: 0
+  },
+  // After this the entry is stale: only served when the upstream call fails
+  freshUntil: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop entries once they expire
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+cacheEntrySchema.index({ endpoint: 1 });
+
+module.exports = mongoose.model('CacheEntry', cacheEntrySchema);
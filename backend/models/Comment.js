@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  reviewId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Review',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Null for top-level comments
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Top-level comment of the thread (itself for top-level comments), so a
+  // whole thread loads in one query
+  rootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment'
+  },
+  depth: {
+    type: Number,
+    default: 0
+  },
+  content: {
+    type: String,
+    required: true,
+    maxlength: [1000, 'Comment must be less than 1000 characters']
+  },
+  // Comments with replies are blanked rather than removed to keep the thread intact
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: Date
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ reviewId: 1, parentId: 1, createdAt: 1 });
+commentSchema.index({ rootId: 1, createdAt: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
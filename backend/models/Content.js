@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const contentSchema = new mongoose.Schema({
+  contentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  imdbId: String,
+  tmdbId: String,
+  showType: {
+    type: String,
+    enum: ['movie', 'series'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  originalTitle: String,
+  overview: String,
+  releaseYear: Number,
+  genres: [{
+    _id: false,
+    id: String,
+    name: String
+  }],
+  directors: [String],
+  creators: [String],
+  cast: [String],
+  rating: Number,
+  posterUrl: String,
+  backdropUrl: String,
+  seasonCount: Number,
+  episodeCount: Number,
+  // Streaming options keyed by country code, as returned upstream
+  streamingOptions: mongoose.Schema.Types.Mixed,
+  recentChanges: [{
+    _id: false,
+    changeType: String,
+    country: String,
+    service: String,
+    streamingOptionType: String,
+    timestamp: Date
+  }],
+  syncedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+contentSchema.index({ imdbId: 1 });
+contentSchema.index({ showType: 1 });
+contentSchema.index({ 'genres.id': 1 });
+contentSchema.index({ syncedAt: 1 });
+
+module.exports = mongoose.model('Content', contentSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Locale keys are stored lowercase so "pt-BR" and "pt-br" are one translation
+const lowercaseKeys = (names) => {
+  if (!names) return names;
+
+  const entries = names instanceof Map ? [...names] : Object.entries(names);
+  return Object.fromEntries(entries.map(([locale, name]) => [locale.toLowerCase(), name]));
+};
+
+const genreSchema = new mongoose.Schema({
+  genreId: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  // Name as reported by the metadata provider
+  name: {
+    type: String,
+    required: true
+  },
+  // Admin override for the default display name
+  displayName: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Genre name must be less than 50 characters']
+  },
+  localizedNames: {
+    type: Map,
+    of: String,
+    default: {}
+  },
+  hidden: {
+    type: Boolean,
+    default: false
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  syncedAt: Date
+}, {
+  timestamps: true
+});
+
+genreSchema.index({ hidden: 1, order: 1 });
+
+genreSchema.pre('validate', function(next) {
+  if (this.isModified('localizedNames')) {
+    this.localizedNames = lowercaseKeys(this.localizedNames);
+  }
+  next();
+});
+
+// Resolve the display name for a locale such as "fr" or "pt-BR"
+genreSchema.methods.nameFor = function(locale) {
+  if (locale) {
+    // Compared case-insensitively, names saved before keys were lowercased may be mixed case
+    const names = new Map([...this.localizedNames].map(([key, name]) => [key.toLowerCase(), name]));
+    const normalized = locale.toLowerCase();
+    const localized = names.get(normalized) || names.get(normalized.split('-')[0]);
+    if (localized) return localized;
+  }
+
+  return this.displayName || this.name;
+};
+
+module.exports = mongoose.model('Genre', genreSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Failed login attempts for one account (by email) or one IP address
+const loginThrottleSchema = new mongoose.Schema({
+  // 'account:<email>' or 'ip:<address>'
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: Date,
+  // Progressive delay: attempts before this time are refused
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  // Dropped by MongoDB once the failure window and any lockout have passed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+loginThrottleSchema.index({ kind: 1, lockedUntil: -1 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
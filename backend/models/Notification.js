@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Each type except security can be switched off in preferences.notifications
+  type: {
+    type: String,
+    enum: ['account', 'security', 'role_changed', 'review_liked', 'review_moderated', 'watchlist_alert'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: [100, 'Notification title must be less than 100 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [500, 'Notification message must be less than 500 characters']
+  },
+  // Ids and links the client needs to act on the notification
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Running aggregate of review ratings for one title, kept in step with the
+// reviews collection by ratingSummaryService
+const ratingSummarySchema = new mongoose.Schema({
+  contentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  sum: {
+    type: Number,
+    default: 0
+  },
+  // Review count per rounded rating, keyed '1' to '10'
+  histogram: {
+    type: Map,
+    of: Number,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('RatingSummary', ratingSummarySchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const REPORT_REASONS = ['spam', 'offensive', 'spoiler', 'off_topic', 'other'];
+
 const reviewSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -31,6 +33,20 @@ const reviewSchema = new mongoose.Schema({
     required: true,
     maxlength: [1000, 'Review content must be less than 1000 characters']
   },
+  // Whole review is a spoiler; inline spans use [spoiler]...[/spoiler] in content
+  isSpoiler: {
+    type: Boolean,
+    default: false
+  },
+  // Episode the review covers, used to reveal spoilers to viewers past it
+  seasonNumber: {
+    type: Number,
+    min: 1
+  },
+  episodeNumber: {
+    type: Number,
+    min: 1
+  },
   likes: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -39,6 +55,79 @@ const reviewSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Everyone who has ever liked the review, so the author is only notified once per user
+  likedBy: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Denormalised from likes/dislikes on save so listings can sort on them
+  likeCount: {
+    type: Number,
+    default: 0
+  },
+  dislikeCount: {
+    type: Number,
+    default: 0
+  },
+  helpfulnessScore: {
+    type: Number,
+    default: 0
+  },
+  // Maintained by the comment routes
+  commentCount: {
+    type: Number,
+    default: 0
+  },
+  // Only published reviews appear in public listings and rating summaries.
+  // Screening sets pending/rejected, moderators set hidden/removed.
+  status: {
+    type: String,
+    enum: ['published', 'pending', 'rejected', 'hidden', 'removed'],
+    default: 'published'
+  },
+  // Outcome of the last automatic screening, see reviewScreeningService
+  screening: {
+    decision: {
+      type: String,
+      enum: ['publish', 'hold', 'reject']
+    },
+    rules: [{
+      _id: false,
+      rule: String,
+      detail: String
+    }],
+    screenedAt: Date
+  },
+  reports: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: REPORT_REASONS,
+      required: true
+    },
+    details: {
+      type: String,
+      maxlength: [500, 'Report details must be less than 500 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Set when a moderator acts on the review
+    resolvedAt: Date
+  }],
+  // Unresolved reports, orders the moderation queue
+  reportCount: {
+    type: Number,
+    default: 0
+  },
   isModerated: {
     type: Boolean,
     default: false
@@ -47,7 +136,16 @@ const reviewSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  moderatedAt: Date
+  moderatedAt: Date,
+  moderationAction: {
+    type: String,
+    enum: ['approve', 'hide', 'remove']
+  },
+  // Shown to the author when their review is hidden or removed
+  moderationReason: {
+    type: String,
+    maxlength: [500, 'Moderation reason must be less than 500 characters']
+  }
 }, {
   timestamps: true
 });
@@ -61,5 +159,154 @@ reviewSchema.index({ createdAt: -1 });
 
 // Compound index for content reviews
 reviewSchema.index({ contentId: 1, contentType: 1 });
+reviewSchema.index({ contentId: 1, helpfulnessScore: -1 });
+reviewSchema.index({ reportCount: -1, createdAt: 1 });
+
+// Reviews created before moderation existed have no status and count as published
+reviewSchema.statics.publicFilter = function() {
+  return { status: { $in: ['published', null] } };
+};
+
+reviewSchema.statics.REPORT_REASONS = REPORT_REASONS;
+
+reviewSchema.methods.isPublic = function() {
+  return !this.status || this.status === 'published';
+};
+
+reviewSchema.methods.hasOpenReportFrom = function(userId) {
+  const id = userId.toString();
+  return this.reports.some(report => !report.resolvedAt && report.userId.toString() === id);
+};
+
+// Record a moderator decision and resolve every open report
+reviewSchema.methods.moderate = function(moderatorId, action, reason) {
+  const now = new Date();
+
+  this.status = { approve: 'published', hide: 'hidden', remove: 'removed' }[action];
+  this.isModerated = true;
+  this.moderatedBy = moderatorId;
+  this.moderatedAt = now;
+  this.moderationAction = action;
+  this.moderationReason = action === 'approve' ? undefined : reason;
+
+  this.reports.forEach(report => {
+    if (!report.resolvedAt) report.resolvedAt = now;
+  });
+  this.reportCount = 0;
+};
+
+// Lower bound of the Wilson score interval (95%) for the share of positive
+// reactions, so a review with 40/50 likes outranks one with 1/1
+const wilsonLowerBound = (positive, total) => {
+  if (total === 0) return 0;
+
+  const z = 1.96;
+  const p = positive / total;
+  const z2 = z * z;
+
+  return (p + z2 / (2 * total) - z * Math.sqrt((p * (1 - p) + z2 / (4 * total)) / total)) / (1 + z2 / total);
+};
+
+// The same bound as an aggregation expression, for updates that recompute it
+// from the stored arrays
+const wilsonLowerBoundExpression = (positive, total) => {
+  const z = 1.96;
+  const z2 = z * z;
+
+  return {
+    $cond: [{ $eq: [total, 0] }, 0, {
+      $let: {
+        vars: { n: total, p: { $divide: [positive, total] } },
+        in: {
+          $divide: [
+            {
+              $subtract: [
+                { $add: ['$$p', { $divide: [z2, { $multiply: [2, '$$n'] }] }] },
+                {
+                  $multiply: [z, {
+                    $sqrt: {
+                      $divide: [
+                        { $add: [{ $multiply: ['$$p', { $subtract: [1, '$$p'] }] }, { $divide: [z2, { $multiply: [4, '$$n'] }] }] },
+                        '$$n'
+                      ]
+                    }
+                  }]
+                }
+              ]
+            },
+            { $add: [1, { $divide: [z2, '$$n'] }] }
+          ]
+        }
+      }
+    }]
+  };
+};
+
+reviewSchema.pre('save', function(next) {
+  if (this.isModified('likes') || this.isModified('dislikes')) {
+    this.likeCount = this.likes.length;
+    this.dislikeCount = this.dislikes.length;
+    this.helpfulnessScore = wilsonLowerBound(this.likeCount, this.likeCount + this.dislikeCount);
+  }
+  next();
+});
+
+// 'like', 'dislike' or null for the given user
+reviewSchema.methods.reactionOf = function(userId) {
+  if (!userId) return null;
+
+  const id = userId.toString();
+  if (this.likes.some(like => like.toString() === id)) return 'like';
+  if (this.dislikes.some(dislike => dislike.toString() === id)) return 'dislike';
+  return null;
+};
+
+// Replace a user's reaction; null clears it. The update only matches when it
+// changes something, so concurrent reactions can't overwrite each other.
+// Returns the updated review, or null if the reaction was already in place,
+// and whether this is the user's first ever like of the review.
+reviewSchema.statics.react = async function(reviewId, userId, reaction) {
+  const filter = { _id: reviewId };
+  const update = {};
+
+  if (reaction === 'like') {
+    filter.likes = { $ne: userId };
+    update.$addToSet = { likes: userId, likedBy: userId };
+    update.$pull = { dislikes: userId };
+  } else if (reaction === 'dislike') {
+    filter.dislikes = { $ne: userId };
+    update.$addToSet = { dislikes: userId };
+    update.$pull = { likes: userId };
+  } else {
+    filter.$or = [{ likes: userId }, { dislikes: userId }];
+    update.$pull = { likes: userId, dislikes: userId };
+  }
+
+  const before = await this.findOneAndUpdate(filter, update).select('likedBy');
+  if (!before) {
+    return { review: null, firstLike: false };
+  }
+
+  // Recomputed from the arrays as stored, so the last of several concurrent
+  // reactions leaves the right numbers
+  const review = await this.findOneAndUpdate({ _id: reviewId }, [
+    { $set: { likeCount: { $size: '$likes' }, dislikeCount: { $size: '$dislikes' } } },
+    { $set: { helpfulnessScore: wilsonLowerBoundExpression('$likeCount', { $add: ['$likeCount', '$dislikeCount'] }) } }
+  ], { new: true });
+
+  const id = userId.toString();
+  return {
+    review,
+    firstLike: reaction === 'like' && !(before.likedBy || []).some(liker => liker.toString() === id)
+  };
+};
+
+reviewSchema.methods.reactionSummary = function(userId) {
+  return {
+    likes: this.likes.length,
+    dislikes: this.dislikes.length,
+    mine: this.reactionOf(userId)
+  };
+};
 
 module.exports = mongoose.model('Review', reviewSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Append-only log of security-relevant events, queried from the admin API
+const securityEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['refresh_token_reuse', 'account_locked', 'account_unlocked', 'ip_locked'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: String,
+  userAgent: String,
+  // Event specific context, e.g. the revoked session id
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+securityEventSchema.index({ createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -47,13 +48,36 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Set to false at signup until the emailed link is followed. Accounts created
+  // before verification existed have no value and are treated as verified.
+  emailVerified: Boolean,
+  emailVerificationSentAt: Date,
+  // One entry per signed-in session (device), see services/sessionService.js.
+  // Each session is a rotation family: only the hash of its latest refresh
+  // token is kept. Expired sessions are pruned in code: a TTL index on an
+  // array field would expire the whole user document. Only change sessions
+  // through the service, which uses atomic updates rather than user.save().
   refreshTokens: [{
+    sessionId: {
+      type: String,
+      default: () => crypto.randomUUID()
+    },
+    tokenHash: String,
+    // Hash of the token this one replaced, to tell concurrent refreshes from reuse
+    previousTokenHash: String,
+    // Plaintext token of sessions created before hashing, replaced on next refresh
     token: String,
+    userAgent: String,
+    ip: String,
     createdAt: {
       type: Date,
-      default: Date.now,
-      expires: '7d'
-    }
+      default: Date.now
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now
+    },
+    expiresAt: Date
   }],
   watchlist: [{
     contentId: String,
@@ -102,13 +126,56 @@ const userSchema = new mongoose.Schema({
       type: String,
       default: 'en'
     },
+    // ISO 3166-1 alpha-2 code used for streaming availability
+    country: {
+      type: String,
+      lowercase: true,
+      match: [/^[a-z]{2}$/, 'Country must be a two letter country code']
+    },
+    // Streaming services the user subscribes to, e.g. netflix, prime, disney
+    services: [String],
     autoplay: {
       type: Boolean,
       default: true
+    },
+    // Per-type notification opt-outs, see models/Notification.js
+    notifications: {
+      account: { type: Boolean, default: true },
+      role_changed: { type: Boolean, default: true },
+      review_liked: { type: Boolean, default: true },
+      review_moderated: { type: Boolean, default: true },
+      watchlist_alert: { type: Boolean, default: true }
     }
   },
   passwordResetToken: String,
-  passwordResetExpires: Date
+  passwordResetExpires: Date,
+  // TOTP two-factor authentication, see services/twoFactorService.js
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated at enrollment, promoted to `secret` once a code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last time step accepted, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  }
 }, {
   timestamps: true
 });
@@ -120,6 +187,33 @@ userSchema.index({ 'watchlist.contentId': 1 });
 userSchema.index({ 'favorites.contentId': 1 });
 userSchema.index({ 'watchHistory.contentId': 1 });
 
+// Indexes older versions created that must not survive. refreshTokens.createdAt
+// used to carry a 7 day TTL, which expires the whole user document, and
+// mongoose never drops an index just because the schema stopped declaring it.
+const LEGACY_INDEXES = ['refreshTokens.createdAt_1'];
+
+// Codes MongoDB returns when there is nothing to drop
+const INDEX_NOT_FOUND = 27;
+const NAMESPACE_NOT_FOUND = 26;
+
+// Run at startup before serving requests. Returns the indexes it dropped.
+userSchema.statics.dropLegacyIndexes = async function() {
+  const dropped = [];
+
+  for (const name of LEGACY_INDEXES) {
+    try {
+      await this.collection.dropIndex(name);
+      dropped.push(name);
+    } catch (error) {
+      if (error.code !== INDEX_NOT_FOUND && error.code !== NAMESPACE_NOT_FOUND) {
+        throw error;
+      }
+    }
+  }
+
+  return dropped;
+};
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
@@ -145,6 +239,12 @@ userSchema.methods.toJSON = function() {
   delete userObject.refreshTokens;
   delete userObject.passwordResetToken;
   delete userObject.passwordResetExpires;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt
+    };
+  }
   return userObject;
 };
 
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const watchlistAlertSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  contentId: {
+    type: String,
+    required: true
+  },
+  contentType: {
+    type: String,
+    enum: ['movie', 'tv']
+  },
+  title: String,
+  changeType: {
+    type: String,
+    enum: ['new', 'expiring'],
+    required: true
+  },
+  service: {
+    id: String,
+    name: String
+  },
+  streamingOptionType: String,
+  country: String,
+  link: String,
+  // When the title arrived, or for expiring titles when it leaves
+  changedAt: Date,
+  expiresOn: Date,
+  // One alert per user, title, service, change and date
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  acknowledgedAt: Date
+}, {
+  timestamps: true
+});
+
+watchlistAlertSchema.index({ userId: 1, acknowledgedAt: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WatchlistAlert', watchlistAlertSchema);
@@ -2,7 +2,19 @@ const express = require('express');
 const User = require('../models/User');
 const Review = require('../models/Review');
 const { authenticateAdmin } = require('../middleware/auth');
+const Genre = require('../models/Genre');
+const { validateRequest, schemas } = require('../middleware/validation');
+const genreService = require('../services/genreService');
 const rapidApiService = require('../services/rapidApiService');
+const notificationService = require('../services/notificationService');
+const sessionService = require('../services/sessionService');
+const securityEventService = require('../services/securityEventService');
+const loginThrottleService = require('../services/loginThrottleService');
+const cacheService = require('../services/cacheService');
+const catalogService = require('../services/catalogService');
+const ratingSummaryService = require('../services/ratingSummaryService');
+const { runCatalogSync, getCatalogSyncStatus } = require('../jobs/catalogSync');
+const { runWatchlistAlerts, getWatchlistAlertsStatus } = require('../jobs/watchlistAlerts');
 
 const router = express.Router();
 
@@ -78,6 +90,12 @@ router.put('/users/:userId/role', authenticateAdmin, async (req, res, next) => {
       return res.status(404).json({ message: 'User not found' });
     }
     
+    await notificationService.notify(user._id, 'role_changed', {
+      title: 'Your role has changed',
+      message: `An administrator changed your role to ${role}.`,
+      data: { role, changedBy: req.user._id }
+    });
+    
     res.json({
       success: true,
       message: 'User role updated successfully',
@@ -110,6 +128,12 @@ router.put('/users/:userId/deactivate', authenticateAdmin, async (req, res, next
       return res.status(404).json({ message: 'User not found' });
     }
     
+    await notificationService.notify(user._id, 'account', {
+      title: isActive ? 'Your account has been activated' : 'Your account has been deactivated',
+      message: `An administrator ${isActive ? 'activated' : 'deactivated'} your account.`,
+      data: { isActive }
+    });
+    
     res.json({
       success: true,
       message: `User ${isActive ? 'activated' : 'deactivated'} successfully`,
@@ -120,6 +144,166 @@ router.put('/users/:userId/deactivate', authenticateAdmin, async (req, res, next
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/users/{userId}/sessions:
+ *   get:
+ *     summary: List a user's active sessions (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/users/:userId/sessions', authenticateAdmin, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.json({
+      success: true,
+      sessions: sessionService.list(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke one of a user's sessions (Admin only)
+ *     tags: [Admin]
+ */
+router.delete('/users/:userId/sessions/:sessionId', authenticateAdmin, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    if (!await sessionService.revoke(user, req.params.sessionId)) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/sessions:
+ *   delete:
+ *     summary: Revoke all of a user's sessions (Admin only)
+ *     tags: [Admin]
+ */
+router.delete('/users/:userId/sessions', authenticateAdmin, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const revoked = await sessionService.revokeAllExcept(user);
+    
+    await notificationService.notify(user._id, 'security', {
+      title: 'You were signed out',
+      message: 'An administrator signed you out of all your sessions.'
+    });
+    
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{userId}/unlock:
+ *   post:
+ *     summary: Clear failed logins and any lockout for a user (Admin only)
+ *     tags: [Admin]
+ */
+router.post('/users/:userId/unlock', authenticateAdmin, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.userId).select('-password -refreshTokens');
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    const cleared = await loginThrottleService.unlockAccount(user.email);
+    
+    await securityEventService.record('account_unlocked', {
+      userId: user._id,
+      req,
+      details: { email: user.email, unlockedBy: req.user._id, hadFailures: cleared }
+    });
+    
+    res.json({
+      success: true,
+      message: cleared ? 'Account unlocked' : 'Account had no failed logins to clear'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/lockouts:
+ *   get:
+ *     summary: Get accounts and IP addresses currently locked out (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/lockouts', authenticateAdmin, async (req, res, next) => {
+  try {
+    const lockouts = await loginThrottleService.listLocked({ kind: req.query.kind });
+    
+    res.json({
+      success: true,
+      lockouts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/security-events:
+ *   get:
+ *     summary: Get the security event log (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/security-events', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, type, userId } = req.query;
+    const { events, total } = await securityEventService.list({ type, userId, page, limit });
+    
+    res.json({
+      success: true,
+      events,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/admin/sync-genres:
@@ -129,11 +313,14 @@ router.put('/users/:userId/deactivate', authenticateAdmin, async (req, res, next
  */
 router.get('/sync-genres', authenticateAdmin, async (req, res, next) => {
   try {
-    const genres = await rapidApiService.getGenres();
+    const { created, updated } = await genreService.syncFromProvider();
+    const genres = await genreService.list({ includeHidden: true });
     
     res.json({
       success: true,
       message: 'Genres synced successfully',
+      created,
+      updated,
       genres
     });
   } catch (error) {
@@ -141,6 +328,117 @@ router.get('/sync-genres', authenticateAdmin, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/genres:
+ *   get:
+ *     summary: Get the managed genre taxonomy including hidden genres (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/genres', authenticateAdmin, async (req, res, next) => {
+  try {
+    await genreService.ensureSeeded();
+    const genres = await Genre.find().sort({ order: 1, name: 1 });
+    
+    res.json({
+      success: true,
+      genres
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/genres/order:
+ *   put:
+ *     summary: Reorder genres (Admin only)
+ *     tags: [Admin]
+ */
+router.put('/genres/order', authenticateAdmin, validateRequest(schemas.genreOrder), async (req, res, next) => {
+  try {
+    const { genreIds } = req.body;
+    
+    const found = await Genre.countDocuments({ genreId: { $in: genreIds } });
+    if (found !== genreIds.length) {
+      return res.status(400).json({ message: 'Unknown genre in order list' });
+    }
+    
+    await genreService.reorder(genreIds);
+    
+    res.json({
+      success: true,
+      message: 'Genres reordered successfully',
+      genres: await genreService.list({ includeHidden: true })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/genres/{genreId}:
+ *   put:
+ *     summary: Rename, localize, hide or move a genre (Admin only)
+ *     tags: [Admin]
+ */
+router.put('/genres/:genreId', authenticateAdmin, validateRequest(schemas.genreUpdate), async (req, res, next) => {
+  try {
+    const { genreId } = req.params;
+    const { displayName, localizedNames, hidden, order } = req.body;
+    
+    const genre = await Genre.findOne({ genreId });
+    
+    if (!genre) {
+      return res.status(404).json({ message: 'Genre not found' });
+    }
+    
+    if (displayName !== undefined) genre.displayName = displayName || undefined;
+    if (localizedNames !== undefined) genre.localizedNames = localizedNames;
+    if (hidden !== undefined) genre.hidden = hidden;
+    if (order !== undefined) genre.order = order;
+    
+    await genre.save();
+    
+    res.json({
+      success: true,
+      message: 'Genre updated successfully',
+      genre
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/genres/{genreId}:
+ *   delete:
+ *     summary: Delete a genre (Admin only)
+ *     description: Provider genres come back on the next sync, hide them to remove them for good.
+ *     tags: [Admin]
+ */
+router.delete('/genres/:genreId', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { genreId } = req.params;
+    
+    const genre = await Genre.findOneAndDelete({ genreId });
+    
+    if (!genre) {
+      return res.status(404).json({ message: 'Genre not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Genre deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/admin/reviews:
@@ -150,12 +448,15 @@ router.get('/sync-genres', authenticateAdmin, async (req, res, next) => {
  */
 router.get('/reviews', authenticateAdmin, async (req, res, next) => {
   try {
-    const { page = 1, limit = 20, moderated } = req.query;
+    const { page = 1, limit = 20, moderated, status } = req.query;
     
     let query = {};
     if (moderated !== undefined) {
       query.isModerated = moderated === 'true';
     }
+    if (status) {
+      query.status = status;
+    }
     
     const reviews = await Review.find(query)
       .populate('userId', 'username email')
@@ -167,7 +468,130 @@ router.get('/reviews', authenticateAdmin, async (req, res, next) => {
     
     res.json({
       success: true,
-      reviews,
+      reviews: await catalogService.attachContent(reviews),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reviews/queue:
+ *   get:
+ *     summary: Get reported and held reviews, most reported first (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/reviews/queue', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    // Reported reviews and reviews held by screening
+    const query = { $or: [{ reportCount: { $gt: 0 } }, { status: 'pending' }] };
+    const reviews = await Review.find(query)
+      .populate('userId', 'username email')
+      .populate('reports.userId', 'username')
+      .sort({ reportCount: -1, createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await Review.countDocuments(query);
+    
+    res.json({
+      success: true,
+      reviews: await catalogService.attachContent(reviews),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/reviews/{reviewId}/moderate:
+ *   post:
+ *     summary: Approve, hide or remove a review (Admin only)
+ *     tags: [Admin]
+ */
+router.post('/reviews/:reviewId/moderate', authenticateAdmin, validateRequest(schemas.reviewModeration), async (req, res, next) => {
+  try {
+    const { action, reason } = req.body;
+    
+    const review = await Review.findById(req.params.reviewId);
+    
+    if (!review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    const wasPublic = review.isPublic();
+    review.moderate(req.user._id, action, reason);
+    await review.save();
+    
+    // Keep the rating summary to published reviews only
+    if (wasPublic !== review.isPublic()) {
+      await ratingSummaryService.applyReviewChange(review.contentId, wasPublic
+        ? { before: review.rating }
+        : { after: review.rating });
+    }
+    
+    if (action !== 'approve') {
+      await notificationService.notify(review.userId, 'review_moderated', {
+        title: action === 'hide' ? 'Your review was hidden' : 'Your review was removed',
+        message: `A moderator ${action === 'hide' ? 'hid' : 'removed'} your review "${review.title}". Reason: ${reason}`.slice(0, 500),
+        data: { reviewId: review._id, contentId: review.contentId, action, reason }
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Review moderated successfully',
+      review
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/cache/stats:
+ *   get:
+ *     summary: Get upstream cache hit/miss statistics (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/cache/stats', authenticateAdmin, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      stats: cacheService.getStats()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/cache:
+ *   get:
+ *     summary: List cached upstream responses (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/cache', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, endpoint } = req.query;
+    const { entries, total } = await cacheService.list({ endpoint, page, limit });
+
+    res.json({
+      success: true,
+      entries,
+      memoryKeys: cacheService.memory.keys(),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -177,4 +601,158 @@ router.get('/reviews', authenticateAdmin, async (req, res, next) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/cache:
+ *   delete:
+ *     summary: Purge cached upstream responses by key, endpoint prefix or all (Admin only)
+ *     tags: [Admin]
+ */
+router.delete('/cache', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { key, endpoint } = req.query;
+    const result = await cacheService.purge({ key, endpoint });
+
+    res.json({
+      success: true,
+      message: 'Cache purged successfully',
+      ...result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/upstream:
+ *   get:
+ *     summary: Get metadata provider circuit breaker and quota status (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/upstream', authenticateAdmin, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      upstream: rapidApiService.getUpstreamStatus(),
+      cache: cacheService.getStats()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/upstream/breaker/reset:
+ *   post:
+ *     summary: Close the metadata provider circuit breaker (Admin only)
+ *     tags: [Admin]
+ */
+router.post('/upstream/breaker/reset', authenticateAdmin, async (req, res, next) => {
+  try {
+    const { breaker } = rapidApiService.provider;
+    
+    if (!breaker) {
+      return res.status(400).json({ message: 'Current provider has no circuit breaker' });
+    }
+    
+    breaker.reset();
+    
+    res.json({
+      success: true,
+      message: 'Circuit breaker reset successfully',
+      upstream: rapidApiService.getUpstreamStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/catalog/sync:
+ *   get:
+ *     summary: Get local content catalog sync status (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/catalog/sync', authenticateAdmin, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      ...getCatalogSyncStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/catalog/sync:
+ *   post:
+ *     summary: Sync the local content catalog from the changes feed now (Admin only)
+ *     tags: [Admin]
+ */
+router.post('/catalog/sync', authenticateAdmin, async (req, res, next) => {
+  try {
+    const result = await runCatalogSync();
+
+    if (!result) {
+      return res.status(409).json({ message: 'Catalog sync already running' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Catalog synced successfully',
+      result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/watchlist-alerts:
+ *   get:
+ *     summary: Get watchlist alerts job status (Admin only)
+ *     tags: [Admin]
+ */
+router.get('/watchlist-alerts', authenticateAdmin, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      ...getWatchlistAlertsStatus()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/watchlist-alerts:
+ *   post:
+ *     summary: Check the changes feed for watchlist alerts now (Admin only)
+ *     tags: [Admin]
+ */
+router.post('/watchlist-alerts', authenticateAdmin, async (req, res, next) => {
+  try {
+    const result = await runWatchlistAlerts();
+
+    if (!result) {
+      return res.status(409).json({ message: 'Watchlist alerts already running' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Watchlist alerts checked successfully',
+      result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
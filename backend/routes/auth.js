@@ -3,26 +3,73 @@ const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const User = require('../models/User');
 const { validateRequest, schemas } = require('../middleware/validation');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, ADMIN_REQUIRE_TWO_FACTOR } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const mailService = require('../services/mailService');
+const twoFactorService = require('../services/twoFactorService');
+const sessionService = require('../services/sessionService');
+const securityEventService = require('../services/securityEventService');
+const loginThrottleService = require('../services/loginThrottleService');
 const logger = require('../utils/logger');
+const { checkPassword } = require('../utils/passwordPolicy');
 
 const router = express.Router();
 
-// Generate JWT tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_ACCESS_SECRET,
-    { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN }
-  );
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 30;
+
+const EMAIL_VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+// Minimum gap between verification emails to one account
+const EMAIL_VERIFICATION_RESEND_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS, 10) || 60;
+
+const emailVerificationSecret = () => process.env.EMAIL_VERIFICATION_SECRET || process.env.JWT_ACCESS_SECRET;
 
-  const refreshToken = jwt.sign(
-    { userId },
-    process.env.JWT_REFRESH_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN }
+// Verification links carry a signed token bound to the address, so a link
+// stops working if the email changes before it is used. The user id goes in
+// `sub` rather than `userId` so it can never pass as an access token.
+const sendVerificationEmail = async (user) => {
+  const token = jwt.sign(
+    { sub: String(user._id), email: user.email, purpose: 'email_verification' },
+    emailVerificationSecret(),
+    { expiresIn: EMAIL_VERIFICATION_EXPIRES_IN }
   );
 
-  return { accessToken, refreshToken };
+  user.emailVerificationSentAt = new Date();
+  await user.save();
+
+  return await mailService.sendEmailVerification(user, token);
+};
+
+// Only a hash of one-time tokens is stored, so a database leak can't be used to reset passwords
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const TWO_FACTOR_CHALLENGE_EXPIRES_IN = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
+
+// Refuse a login attempt that is delayed or locked out
+const rejectThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+  return res.status(429).json({
+    message: throttle.locked
+      ? `Too many failed login attempts. Try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`
+      : `Too many failed login attempts. Try again in ${throttle.retryAfter} second(s).`,
+    retryAfter: throttle.retryAfter
+  });
+};
+
+// Start a session for a user who has fully authenticated and send the login response
+const completeLogin = async (user, req, res, { mfa = false } = {}) => {
+  const { accessToken, refreshToken } = await sessionService.create(user, req, { mfa });
+
+  logger.info(`User logged in: ${user.email}${mfa ? ' (2FA)' : ''}`);
+
+  // Remove password from response
+  user.password = undefined;
+
+  res.json({
+    message: 'Login successful',
+    user,
+    accessToken,
+    refreshToken
+  });
 };
 
 /**
@@ -48,6 +95,11 @@ router.post('/signup', validateRequest(schemas.signup), async (req, res, next) =
   try {
     const { username, email, password, firstName, lastName } = req.body;
 
+    const policyErrors = checkPassword(password, { username, email });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ message: 'Password does not meet requirements', errors: policyErrors });
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({
       $or: [{ email }, { username }]
@@ -65,20 +117,23 @@ router.post('/signup', validateRequest(schemas.signup), async (req, res, next) =
       email,
       password,
       firstName,
-      lastName
+      lastName,
+      emailVerified: false
     });
 
     await user.save();
+    await sendVerificationEmail(user);
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
-
-    // Save refresh token
-    user.refreshTokens.push({ token: refreshToken });
-    await user.save();
+    // Start the first session
+    const { accessToken, refreshToken } = await sessionService.create(user, req);
 
     logger.info(`New user registered: ${email}`);
 
+    await notificationService.notify(user._id, 'account', {
+      title: `Welcome, ${firstName}!`,
+      message: 'Start building your watchlist and tell us what you think of what you watch.'
+    });
+
     res.status(201).json({
       message: 'User registered successfully',
       user,
@@ -101,35 +156,99 @@ router.post('/login', validateRequest(schemas.login), async (req, res, next) =>
   try {
     const { email, password } = req.body;
 
+    // Claimed before the password is checked, so parallel guesses can't
+    // all get in ahead of the failure that earns a delay
+    const throttle = await loginThrottleService.attempt({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      return rejectThrottled(res, throttle);
+    }
+
     // Find user
     const user = await User.findOne({ email }).select('+password');
 
     if (!user || !await user.comparePassword(password)) {
+      await loginThrottleService.recordFailure({ attempt: throttle, email, userId: user && user._id, req });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     if (!user.isActive) {
+      await loginThrottleService.release(throttle);
       return res.status(401).json({ message: 'Account deactivated' });
     }
 
-    // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user._id);
+    // With 2FA on, the password only earns a short-lived challenge for /login/2fa.
+    // It carries the id in `sub`, so it can't be used as an access token.
+    if (user.twoFactor.enabled) {
+      await loginThrottleService.release(throttle);
+      const challengeToken = jwt.sign(
+        { sub: String(user._id), purpose: 'two_factor' },
+        process.env.JWT_ACCESS_SECRET,
+        { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRES_IN }
+      );
 
-    // Save refresh token
-    user.refreshTokens.push({ token: refreshToken });
-    await user.save();
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken
+      });
+    }
 
-    logger.info(`User logged in: ${email}`);
+    await loginThrottleService.recordSuccess({ attempt: throttle, email });
+    await completeLogin(user, req, res);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Remove password from response
-    user.password = undefined;
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Finish a login with a two-factor or recovery code
+ *     tags: [Authentication]
+ */
+router.post('/login/2fa', validateRequest(schemas.twoFactorLogin), async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
 
-    res.json({
-      message: 'Login successful',
-      user,
-      accessToken,
-      refreshToken
-    });
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_ACCESS_SECRET);
+    } catch (error) {
+      return res.status(401).json({ message: 'Login challenge expired, please sign in again' });
+    }
+
+    if (decoded.purpose !== 'two_factor') {
+      return res.status(401).json({ message: 'Invalid login challenge' });
+    }
+
+    const user = await User.findById(decoded.sub);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Account deactivated' });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const throttle = await loginThrottleService.attempt({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      return rejectThrottled(res, throttle);
+    }
+
+    const method = await twoFactorService.verify(user._id, { code, recoveryCode });
+    if (!method) {
+      await loginThrottleService.recordFailure({ attempt: throttle, email: user.email, userId: user._id, req });
+      return res.status(401).json({ message: 'Invalid two-factor code' });
+    }
+
+    await loginThrottleService.recordSuccess({ attempt: throttle, email: user.email });
+
+    if (method === 'recovery') {
+      await notificationService.notify(user._id, 'security', {
+        title: 'Recovery code used',
+        message: 'A recovery code was used to sign in. Generate new codes if you are running low.'
+      });
+    }
+
+    await completeLogin(user, req, res, { mfa: true });
   } catch (error) {
     next(error);
   }
@@ -154,18 +273,32 @@ router.post('/refresh-token', async (req, res, next) => {
     const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
     const user = await User.findById(decoded.userId);
 
-    if (!user || !user.refreshTokens.some(token => token.token === refreshToken)) {
+    const session = user && sessionService.findByToken(user, refreshToken);
+
+    // Issue a new token pair for the same session
+    const tokens = session && await sessionService.rotate(user, session, req, { mfa: decoded.mfa });
+    if (!tokens) {
+      // A correctly signed token for a live session that has since moved on to
+      // a newer token was already rotated away. Someone else holds a copy, so
+      // the whole family is revoked.
+      const family = user && sessionService.findById(user, decoded.sid);
+      if (family && await sessionService.isReused(user._id, family.sessionId, refreshToken)) {
+        await sessionService.revoke(user, family.sessionId);
+
+        await securityEventService.record('refresh_token_reuse', {
+          userId: user._id,
+          req,
+          details: { sessionId: family.sessionId, sessionUserAgent: family.userAgent, sessionIp: family.ip }
+        });
+        await notificationService.notify(user._id, 'security', {
+          title: 'A session was signed out',
+          message: 'An old sign-in token for one of your sessions was reused, so that session was signed out. If this wasn\'t you, change your password.'
+        });
+      }
+
       return res.status(403).json({ message: 'Invalid refresh token' });
     }
 
-    // Generate new tokens
-    const tokens = generateTokens(user._id);
-
-    // Remove old refresh token and add new one
-    user.refreshTokens = user.refreshTokens.filter(token => token.token !== refreshToken);
-    user.refreshTokens.push({ token: tokens.refreshToken });
-    await user.save();
-
     res.json({
       accessToken: tokens.accessToken,
       refreshToken: tokens.refreshToken
@@ -194,18 +327,422 @@ router.post('/logout', authenticateToken, async (req, res, next) => {
     }
 
     if (refreshToken) {
-      // Remove specific refresh token
-      user.refreshTokens = user.refreshTokens.filter(
-        token => token.token !== refreshToken
-      );
+      // Remove the session holding this refresh token
+      const session = sessionService.findByToken(user, refreshToken);
+      if (session) {
+        await sessionService.revoke(user, session.sessionId);
+      }
     } else {
       // Remove all refresh tokens
-      user.refreshTokens = [];
+      await sessionService.revokeAllExcept(user);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     tags: [Authentication]
+ */
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      success: true,
+      sessions: sessionService.list(user, req.auth.sid)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out one session
+ *     tags: [Authentication]
+ */
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (!await sessionService.revoke(user, req.params.sessionId)) {
+      return res.status(404).json({ message: 'Session not found' });
     }
 
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Sign out every session except the current one
+ *     tags: [Authentication]
+ */
+router.delete('/sessions', authenticateToken, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    const revoked = await sessionService.revokeAllExcept(user, req.auth.sid);
+
+    res.json({
+      success: true,
+      message: `${revoked} session(s) revoked`,
+      revoked
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change password and sign out other sessions
+ *     description: The session is identified by the access token's session id. Older access tokens have none, send the session's refreshToken to stay signed in; without either every session is signed out.
+ *     tags: [Authentication]
+ */
+router.post('/change-password', authenticateToken, validateRequest(schemas.changePassword), async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword, refreshToken } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!await user.comparePassword(currentPassword)) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    const policyErrors = checkPassword(newPassword, user);
+    if (await user.comparePassword(newPassword)) {
+      policyErrors.push('New password must be different from the current one');
+    }
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ message: 'Password does not meet requirements', errors: policyErrors });
+    }
+
+    user.password = newPassword;
+    // Keep only the session that made the change. Without a session id or
+    // refresh token there is nothing to keep and every session is signed out.
+    const current = req.auth.sid || (refreshToken && (sessionService.findByToken(user, refreshToken) || {}).sessionId);
     await user.save();
+    await sessionService.revokeAllExcept(user, current);
 
-    res.json({ message: 'Logged out successfully' });
+    logger.info(`Password changed for ${user.email}`);
+
+    await notificationService.notify(user._id, 'security', {
+      title: 'Password changed',
+      message: 'Your password was changed and your other sessions were signed out.'
+    });
+    mailService.sendPasswordChanged(user);
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   post:
+ *     summary: Confirm an email address with the emailed token
+ *     tags: [Authentication]
+ */
+router.post('/verify-email', validateRequest(schemas.verifyEmail), async (req, res, next) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(req.body.token, emailVerificationSecret());
+    } catch (error) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    const user = decoded.purpose === 'email_verification' && await User.findById(decoded.sub);
+
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({ message: 'Invalid or expired verification link' });
+    }
+
+    if (user.emailVerified !== false) {
+      return res.json({ message: 'Email already verified' });
+    }
+
+    user.emailVerified = true;
+    await user.save();
+
+    logger.info(`Email verified: ${user.email}`);
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send the email verification link again
+ *     tags: [Authentication]
+ */
+router.post('/resend-verification', authenticateToken, async (req, res, next) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified !== false) {
+      return res.status(400).json({ message: 'Email already verified' });
+    }
+
+    const elapsed = user.emailVerificationSentAt ? (Date.now() - user.emailVerificationSentAt.getTime()) / 1000 : Infinity;
+    if (elapsed < EMAIL_VERIFICATION_RESEND_SECONDS) {
+      const retryAfter = Math.ceil(EMAIL_VERIFICATION_RESEND_SECONDS - elapsed);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ message: `Please wait ${retryAfter} seconds before requesting another email` });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get two-factor authentication status
+ *     tags: [Authentication]
+ */
+router.get('/2fa', authenticateToken, async (req, res, next) => {
+  try {
+    const enabled = req.user.twoFactor.enabled;
+
+    res.json({
+      enabled,
+      enabledAt: req.user.twoFactor.enabledAt,
+      required: ADMIN_REQUIRE_TWO_FACTOR && req.user.role === 'admin',
+      recoveryCodesRemaining: enabled ? await twoFactorService.remainingRecoveryCodes(req.user._id) : 0
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment and get the secret and otpauth URI
+ *     tags: [Authentication]
+ */
+router.post('/2fa/setup', authenticateToken, async (req, res, next) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUri } = await twoFactorService.beginEnrollment(req.user._id);
+
+    res.json({
+      message: 'Add the secret to your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm enrollment with a code and enable two-factor authentication
+ *     tags: [Authentication]
+ */
+router.post('/2fa/confirm', authenticateToken, validateRequest(schemas.twoFactorCode), async (req, res, next) => {
+  try {
+    if (req.user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const recoveryCodes = await twoFactorService.confirmEnrollment(req.user._id, req.body.code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    await notificationService.notify(req.user._id, 'security', {
+      title: 'Two-factor authentication enabled',
+      message: 'Signing in now requires a code from your authenticator app.'
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe, they are only shown once.',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace recovery codes
+ *     tags: [Authentication]
+ */
+router.post('/2fa/recovery-codes', authenticateToken, validateRequest(schemas.twoFactorCode), async (req, res, next) => {
+  try {
+    if (!await twoFactorService.verify(req.user._id, { code: req.body.code })) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user._id);
+
+    await notificationService.notify(req.user._id, 'security', {
+      title: 'Recovery codes replaced',
+      message: 'New recovery codes were generated and the old ones no longer work.'
+    });
+
+    res.json({
+      message: 'Recovery codes replaced. They are only shown once.',
+      recoveryCodes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     tags: [Authentication]
+ */
+router.post('/2fa/disable', authenticateToken, validateRequest(schemas.twoFactorDisable), async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (ADMIN_REQUIRE_TWO_FACTOR && req.user.role === 'admin') {
+      return res.status(403).json({ message: 'Two-factor authentication is required for admins' });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!await user.comparePassword(password)) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (!await twoFactorService.verify(req.user._id, { code, recoveryCode })) {
+      return res.status(400).json({ message: 'Invalid two-factor code' });
+    }
+
+    await twoFactorService.disable(req.user._id);
+
+    await notificationService.notify(req.user._id, 'security', {
+      title: 'Two-factor authentication disabled',
+      message: 'Signing in no longer requires a code from your authenticator app.'
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link
+ *     tags: [Authentication]
+ */
+router.post('/forgot-password', validateRequest(schemas.forgotPassword), async (req, res) => {
+  const email = req.body.email.toLowerCase();
+
+  // Respond before looking the account up, with the same message whether or
+  // not it exists, so neither the response nor its timing reveals that
+  res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+
+  try {
+    const user = await User.findOne({ email, isActive: true });
+    if (!user) return;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    user.passwordResetToken = hashToken(token);
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+    await user.save();
+
+    await mailService.sendPasswordReset(user, token, PASSWORD_RESET_TTL_MINUTES);
+    logger.info(`Password reset requested for ${email}`);
+  } catch (error) {
+    logger.error(`Failed to handle password reset request for ${email}:`, error.message);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password with a reset token
+ *     tags: [Authentication]
+ */
+router.post('/reset-password', validateRequest(schemas.resetPassword), async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetToken: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    const policyErrors = checkPassword(password, user);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({ message: 'Password does not meet requirements', errors: policyErrors });
+    }
+
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    // Sign out everywhere, whoever had the old password
+    await sessionService.revokeAllExcept(user);
+
+    logger.info(`Password reset completed for ${user.email}`);
+
+    await notificationService.notify(user._id, 'security', {
+      title: 'Password reset',
+      message: 'Your password was reset and all your sessions were signed out.'
+    });
+    mailService.sendPasswordChanged(user);
+
+    res.json({ message: 'Password reset successfully' });
   } catch (error) {
     next(error);
   }
@@ -1,6 +1,11 @@
 const express = require('express');
 const rapidApiService = require('../services/rapidApiService');
+const genreService = require('../services/genreService');
+const ratingSummaryService = require('../services/ratingSummaryService');
 const { optionalAuth } = require('../middleware/auth');
+const { resolveCountry } = require('../middleware/region');
+const { resolveServices } = require('../middleware/availability');
+const availabilityService = require('../services/availabilityService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -12,14 +17,17 @@ const router = express.Router();
  *     summary: Get trending content
  *     tags: [Content]
  */
-router.get('/trending', optionalAuth, async (req, res, next) => {
+router.get('/trending', optionalAuth, resolveCountry, resolveServices, async (req, res, next) => {
   try {
-    const { country = 'us', type = 'all' } = req.query;
-    const data = await rapidApiService.getTrending(country, type);
+    const { type = 'all', page, pageToken } = req.query;
+    const { country } = req.region;
+    const catalogs = req.availability.mine ? req.availability.services : undefined;
+    const data = await rapidApiService.getTrending(country, type, { page, pageToken, catalogs });
     
     res.json({
       success: true,
-      data
+      region: req.region,
+      data: availabilityService.apply(data, country, req.availability)
     });
   } catch (error) {
     next(error);
@@ -33,14 +41,17 @@ router.get('/trending', optionalAuth, async (req, res, next) => {
  *     summary: Get popular movies
  *     tags: [Content]
  */
-router.get('/popular/movies', optionalAuth, async (req, res, next) => {
+router.get('/popular/movies', optionalAuth, resolveCountry, resolveServices, async (req, res, next) => {
   try {
-    const { country = 'us', page = 1 } = req.query;
-    const data = await rapidApiService.getPopularMovies(country, page);
+    const { page, pageToken } = req.query;
+    const { country } = req.region;
+    const catalogs = req.availability.mine ? req.availability.services : undefined;
+    const data = await rapidApiService.getPopularMovies(country, { page, pageToken, catalogs });
     
     res.json({
       success: true,
-      data
+      region: req.region,
+      data: availabilityService.apply(data, country, req.availability)
     });
   } catch (error) {
     next(error);
@@ -54,14 +65,17 @@ router.get('/popular/movies', optionalAuth, async (req, res, next) => {
  *     summary: Get popular TV shows
  *     tags: [Content]
  */
-router.get('/popular/shows', optionalAuth, async (req, res, next) => {
+router.get('/popular/shows', optionalAuth, resolveCountry, resolveServices, async (req, res, next) => {
   try {
-    const { country = 'us', page = 1 } = req.query;
-    const data = await rapidApiService.getPopularShows(country, page);
+    const { page, pageToken } = req.query;
+    const { country } = req.region;
+    const catalogs = req.availability.mine ? req.availability.services : undefined;
+    const data = await rapidApiService.getPopularShows(country, { page, pageToken, catalogs });
     
     res.json({
       success: true,
-      data
+      region: req.region,
+      data: availabilityService.apply(data, country, req.availability)
     });
   } catch (error) {
     next(error);
@@ -75,19 +89,22 @@ router.get('/popular/shows', optionalAuth, async (req, res, next) => {
  *     summary: Search content
  *     tags: [Content]
  */
-router.get('/search', optionalAuth, async (req, res, next) => {
+router.get('/search', optionalAuth, resolveCountry, resolveServices, async (req, res, next) => {
   try {
-    const { q, country = 'us', type = 'all' } = req.query;
+    const { q, type = 'all' } = req.query;
+    const { country } = req.region;
     
     if (!q) {
       return res.status(400).json({ message: 'Search query is required' });
     }
     
+    // Title search can't be filtered by service upstream, so "mine" filtering happens locally
     const data = await rapidApiService.searchContent(q, country, type);
     
     res.json({
       success: true,
-      data
+      region: req.region,
+      data: availabilityService.apply(data, country, req.availability)
     });
   } catch (error) {
     next(error);
@@ -101,14 +118,19 @@ router.get('/search', optionalAuth, async (req, res, next) => {
  *     summary: Get movie details
  *     tags: [Content]
  */
-router.get('/movie/:id', optionalAuth, async (req, res, next) => {
+router.get('/movie/:id', optionalAuth, resolveCountry, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const data = await rapidApiService.getContentDetails(id, 'movie');
+    const [data, ratingSummary] = await Promise.all([
+      rapidApiService.getContentDetails(id, 'movie', req.region.country),
+      ratingSummaryService.getSummary(id)
+    ]);
     
     res.json({
       success: true,
-      data
+      region: req.region,
+      data,
+      ratingSummary
     });
   } catch (error) {
     next(error);
@@ -122,28 +144,65 @@ router.get('/movie/:id', optionalAuth, async (req, res, next) => {
  *     summary: Get TV show details
  *     tags: [Content]
  */
-router.get('/show/:id', optionalAuth, async (req, res, next) => {
+router.get('/show/:id', optionalAuth, resolveCountry, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const data = await rapidApiService.getContentDetails(id, 'series');
+    const [data, ratingSummary] = await Promise.all([
+      rapidApiService.getContentDetails(id, 'series', req.region.country),
+      ratingSummaryService.getSummary(id)
+    ]);
     
     res.json({
       success: true,
-      data
+      region: req.region,
+      data,
+      ratingSummary
     });
   } catch (error) {
     next(error);
   }
 });
 
-router.get('/genre/:genreId', optionalAuth, async (req, res, next) => {
+router.get('/genre/:genreId', optionalAuth, resolveCountry, resolveServices, async (req, res, next) => {
   try {
     const { genreId } = req.params;
-    const { country = 'us', type = 'all' } = req.query;
-    const data = await rapidApiService.getContentByGenre(genreId, country, type);
+    const { type = 'all', page, pageToken } = req.query;
+    const { country } = req.region;
+
+    if (!await genreService.isKnown(genreId)) {
+      return res.status(400).json({ message: 'Unknown genre' });
+    }
+
+    const catalogs = req.availability.mine ? req.availability.services : undefined;
+    const data = await rapidApiService.getContentByGenre(genreId, country, type, { page, pageToken, catalogs });
+    
+    res.json({
+      success: true,
+      region: req.region,
+      data: availabilityService.apply(data, country, req.availability)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/content/service/{service}:
+ *   get:
+ *     summary: Get popular content on a streaming service
+ *     tags: [Content]
+ */
+router.get('/service/:service', optionalAuth, resolveCountry, async (req, res, next) => {
+  try {
+    const { service } = req.params;
+    const { type = 'all', page, pageToken } = req.query;
+    const { country } = req.region;
+    const data = await rapidApiService.getContentByService(service, country, type, { page, pageToken });
     
     res.json({
       success: true,
+      region: req.region,
       data
     });
   } catch (error) {
@@ -151,13 +210,14 @@ router.get('/genre/:genreId', optionalAuth, async (req, res, next) => {
   }
 });
 
-router.get('/upcoming', optionalAuth, async (req, res, next) => {
+router.get('/upcoming', optionalAuth, resolveCountry, async (req, res, next) => {
   try {
-    const { country = 'us' } = req.query;
+    const { country } = req.region;
     const data = await rapidApiService.getUpcomingMovies(country);
     
     res.json({
       success: true,
+      region: req.region,
       data
     });
   } catch (error) {
@@ -165,13 +225,14 @@ router.get('/upcoming', optionalAuth, async (req, res, next) => {
   }
 });
 
-router.get('/now-playing', optionalAuth, async (req, res, next) => {
+router.get('/now-playing', optionalAuth, resolveCountry, async (req, res, next) => {
   try {
-    const { country = 'us' } = req.query;
+    const { country } = req.region;
     const data = await rapidApiService.getNowPlayingMovies(country);
     
     res.json({
       success: true,
+      region: req.region,
       data
     });
   } catch (error) {
@@ -179,13 +240,14 @@ router.get('/now-playing', optionalAuth, async (req, res, next) => {
   }
 });
 
-router.get('/airing-today', optionalAuth, async (req, res, next) => {
+router.get('/airing-today', optionalAuth, resolveCountry, async (req, res, next) => {
   try {
-    const { country = 'us' } = req.query;
+    const { country } = req.region;
     const data = await rapidApiService.getAiringTodayShows(country);
     
     res.json({
       success: true,
+      region: req.region,
       data
     });
   } catch (error) {
@@ -193,14 +255,15 @@ router.get('/airing-today', optionalAuth, async (req, res, next) => {
   }
 });
 
-router.get('/:id/videos', optionalAuth, async (req, res, next) => {
+router.get('/:id/videos', optionalAuth, resolveCountry, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { type = 'movie' } = req.query;
-    const data = await rapidApiService.getContentVideos(id, type);
+    const data = await rapidApiService.getContentVideos(id, type, req.region.country);
     
     res.json({
       success: true,
+      region: req.region,
       data
     });
   } catch (error) {
@@ -208,14 +271,17 @@ router.get('/:id/videos', optionalAuth, async (req, res, next) => {
   }
 });
 
-router.get('/:id/similar', optionalAuth, async (req, res, next) => {
+router.get('/:id/similar', optionalAuth, resolveCountry, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { type = 'movie' } = req.query;
-    const data = await rapidApiService.getSimilarContent(id, type);
+    const { type, limit = 20 } = req.query;
+    const data = await rapidApiService.getSimilarContent(id, type, req.region.country, {
+      limit: Math.min(parseInt(limit, 10) || 20, 50)
+    });
     
     res.json({
       success: true,
+      region: req.region,
       data
     });
   } catch (error) {
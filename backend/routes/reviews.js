@@ -1,10 +1,73 @@
 const express = require('express');
 const Review = require('../models/Review');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const Comment = require('../models/Comment');
+const { authenticateToken, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const { validateRequest, schemas } = require('../middleware/validation');
+const notificationService = require('../services/notificationService');
+const recommendationService = require('../services/recommendationService');
+const ratingSummaryService = require('../services/ratingSummaryService');
+const reviewScreeningService = require('../services/reviewScreeningService');
+const { applySpoilerPolicy } = require('../utils/spoilers');
 
 const router = express.Router();
 
+// Named sort options; anything else is passed to mongoose as a sort string
+const SORTS = {
+  helpful: { helpfulnessScore: -1, createdAt: -1 }
+};
+
+// Deepest reply level; top-level comments are depth 0
+const MAX_COMMENT_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH, 10) || 3;
+
+const SCREENING_MESSAGES = {
+  publish: 'Review published',
+  hold: 'Review submitted and awaiting moderation',
+  reject: 'Review rejected by content screening'
+};
+
+// Statuses set by a moderator, which editing a review must not undo
+const MODERATOR_STATUSES = ['hidden', 'removed'];
+
+const COMMENT_AUTHOR_FIELDS = 'username firstName lastName profileImage';
+
+// Nest replies under their parents, oldest first at every level
+const buildThreads = (roots, replies) => {
+  const nodes = new Map();
+  [...roots, ...replies].forEach(comment => {
+    const node = { ...comment.toObject(), replies: [] };
+    // Deleted comments stay as placeholders without their author
+    if (node.isDeleted) node.userId = null;
+    nodes.set(comment._id.toString(), node);
+  });
+
+  replies.forEach(reply => {
+    const parent = nodes.get(reply.parentId.toString());
+    if (parent) parent.replies.push(nodes.get(reply._id.toString()));
+  });
+
+  return roots.map(root => nodes.get(root._id.toString()));
+};
+
+/**
+ * @swagger
+ * /api/reviews/{contentId}/summary:
+ *   get:
+ *     summary: Get the rating summary for content
+ *     tags: [Reviews]
+ */
+router.get('/:contentId/summary', async (req, res, next) => {
+  try {
+    const summary = await ratingSummaryService.getSummary(req.params.contentId);
+    
+    res.json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/reviews/{contentId}:
@@ -15,19 +78,26 @@ const router = express.Router();
 router.get('/:contentId', optionalAuth, async (req, res, next) => {
   try {
     const { contentId } = req.params;
-    const { page = 1, limit = 10, sort = '-createdAt' } = req.query;
+    const { page = 1, limit = 10, sort = '-createdAt', spoilers } = req.query;
+    
+    const query = { contentId, ...Review.publicFilter() };
     
-    const reviews = await Review.find({ contentId })
+    const reviews = await Review.find(query)
+      .select('-reports -screening')
       .populate('userId', 'username firstName lastName profileImage')
-      .sort(sort)
+      .sort(SORTS[sort] || sort)
       .limit(limit * 1)
       .skip((page - 1) * limit);
     
-    const total = await Review.countDocuments({ contentId });
+    const total = await Review.countDocuments(query);
+    const viewerId = req.user && req.user._id;
     
     res.json({
       success: true,
-      reviews,
+      reviews: reviews.map(review => applySpoilerPolicy({
+        ...review.toObject(),
+        reactions: review.reactionSummary(viewerId)
+      }, req.user, { reveal: spoilers === 'show' })),
       totalPages: Math.ceil(total / limit),
       currentPage: page
     });
@@ -43,9 +113,9 @@ router.get('/:contentId', optionalAuth, async (req, res, next) => {
  *     summary: Create a review
  *     tags: [Reviews]
  */
-router.post('/', authenticateToken, validateRequest(schemas.review), async (req, res, next) => {
+router.post('/', authenticateToken, requireVerifiedEmail, validateRequest(schemas.review), async (req, res, next) => {
   try {
-    const { contentId, contentType, rating, title, content } = req.body;
+    const { contentId, contentType, rating, title, content, isSpoiler = false, seasonNumber, episodeNumber } = req.body;
     
     // Check if user already reviewed this content
     const existingReview = await Review.findOne({
@@ -58,21 +128,34 @@ router.post('/', authenticateToken, validateRequest(schemas.review), async (req,
       return res.status(400).json({ message: 'You have already reviewed this content' });
     }
     
+    const screening = await reviewScreeningService.screen({ userId: req.user._id, title, content });
+    
     const review = new Review({
       userId: req.user._id,
       contentId,
       contentType,
       rating,
       title,
-      content
+      content,
+      isSpoiler,
+      seasonNumber,
+      episodeNumber,
+      status: screening.status,
+      screening
     });
     
     await review.save();
     await review.populate('userId', 'username firstName lastName profileImage');
+    if (review.isPublic()) {
+      await ratingSummaryService.applyReviewChange(contentId, { after: rating });
+    }
+    await recommendationService.invalidate(req.user._id);
     
-    res.status(201).json({
-      success: true,
-      message: 'Review created successfully',
+    // Rejected reviews are kept so the author can see why and edit them
+    const rejected = screening.decision === 'reject';
+    res.status(rejected ? 422 : 201).json({
+      success: !rejected,
+      message: SCREENING_MESSAGES[screening.decision],
       review
     });
   } catch (error) {
@@ -87,10 +170,10 @@ router.post('/', authenticateToken, validateRequest(schemas.review), async (req,
  *     summary: Update a review
  *     tags: [Reviews]
  */
-router.put('/:reviewId', authenticateToken, validateRequest(schemas.review), async (req, res, next) => {
+router.put('/:reviewId', authenticateToken, requireVerifiedEmail, validateRequest(schemas.review), async (req, res, next) => {
   try {
     const { reviewId } = req.params;
-    const { rating, title, content } = req.body;
+    const { rating, title, content, isSpoiler = false, seasonNumber, episodeNumber } = req.body;
     
     const review = await Review.findById(reviewId);
     
@@ -102,17 +185,335 @@ router.put('/:reviewId', authenticateToken, validateRequest(schemas.review), asy
       return res.status(403).json({ message: 'Not authorized to update this review' });
     }
     
+    const previousRating = review.rating;
+    const wasPublic = review.isPublic();
+    const screening = await reviewScreeningService.screen({
+      userId: req.user._id,
+      reviewId,
+      title,
+      content,
+      previous: review.screening
+    });
+    
+    review.screening = screening;
+    if (!MODERATOR_STATUSES.includes(review.status)) {
+      review.status = screening.status;
+    }
     review.rating = rating;
     review.title = title;
     review.content = content;
+    review.isSpoiler = isSpoiler;
+    review.seasonNumber = seasonNumber;
+    review.episodeNumber = episodeNumber;
     
     await review.save();
     await review.populate('userId', 'username firstName lastName profileImage');
+    if (wasPublic || review.isPublic()) {
+      await ratingSummaryService.applyReviewChange(review.contentId, {
+        before: wasPublic ? previousRating : null,
+        after: review.isPublic() ? rating : null
+      });
+    }
+    await recommendationService.invalidate(req.user._id);
+    
+    // Same response as a rejected create
+    const rejected = screening.decision === 'reject';
+    res.status(rejected ? 422 : 200).json({
+      success: !rejected,
+      message: screening.decision === 'publish' ? 'Review updated successfully' : SCREENING_MESSAGES[screening.decision],
+      review
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Set the caller's reaction on a review; repeating the same reaction is a no-op
+const react = (reaction) => async (req, res, next) => {
+  try {
+    const review = await Review.findById(req.params.reviewId);
+    
+    if (!review || !review.isPublic()) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    if (review.userId.toString() === req.user._id.toString()) {
+      return res.status(403).json({ message: 'You cannot react to your own review' });
+    }
+    
+    const { review: updated, firstLike } = await Review.react(review._id, req.user._id, reaction);
+    
+    // Only a user's first like notifies, so like/unlike/like doesn't repeat it
+    if (firstLike) {
+      await notificationService.notify(review.userId, 'review_liked', {
+        title: 'Someone liked your review',
+        message: `${req.user.username} found your review "${review.title}" helpful.`,
+        data: { reviewId: review._id, contentId: review.contentId }
+      });
+    }
     
     res.json({
       success: true,
-      message: 'Review updated successfully',
-      review
+      reactions: (updated || review).reactionSummary(req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/like:
+ *   post:
+ *     summary: Like a review
+ *     tags: [Reviews]
+ */
+router.post('/:reviewId/like', authenticateToken, requireVerifiedEmail, react('like'));
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/dislike:
+ *   post:
+ *     summary: Dislike a review
+ *     tags: [Reviews]
+ */
+router.post('/:reviewId/dislike', authenticateToken, requireVerifiedEmail, react('dislike'));
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/reaction:
+ *   delete:
+ *     summary: Clear your reaction to a review
+ *     tags: [Reviews]
+ */
+router.delete('/:reviewId/reaction', authenticateToken, requireVerifiedEmail, react(null));
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/report:
+ *   post:
+ *     summary: Report a review to the moderators
+ *     tags: [Reviews]
+ */
+router.post('/:reviewId/report', authenticateToken, requireVerifiedEmail, validateRequest(schemas.reviewReport), async (req, res, next) => {
+  try {
+    const { reason, details } = req.body;
+    
+    if (!Review.REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({
+        message: `Reason must be one of: ${Review.REPORT_REASONS.join(', ')}`
+      });
+    }
+    
+    const review = await Review.findById(req.params.reviewId);
+    
+    if (!review || !review.isPublic()) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    if (review.userId.toString() === req.user._id.toString()) {
+      return res.status(403).json({ message: 'You cannot report your own review' });
+    }
+    
+    if (review.hasOpenReportFrom(req.user._id)) {
+      return res.status(400).json({ message: 'You have already reported this review' });
+    }
+    
+    review.reports.push({ userId: req.user._id, reason, details });
+    review.reportCount += 1;
+    await review.save();
+    
+    res.status(201).json({
+      success: true,
+      message: 'Review reported successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/comments:
+ *   get:
+ *     summary: Get comment threads for a review
+ *     tags: [Reviews]
+ */
+router.get('/:reviewId/comments', async (req, res, next) => {
+  try {
+    const { reviewId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    
+    const review = await Review.findById(reviewId);
+    
+    if (!review || !review.isPublic()) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    const query = { reviewId, parentId: null };
+    const roots = await Comment.find(query)
+      .populate('userId', COMMENT_AUTHOR_FIELDS)
+      .sort({ createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const replies = await Comment.find({
+      rootId: { $in: roots.map(root => root._id) },
+      parentId: { $ne: null }
+    })
+      .populate('userId', COMMENT_AUTHOR_FIELDS)
+      .sort({ createdAt: 1 });
+    
+    const total = await Comment.countDocuments(query);
+    
+    res.json({
+      success: true,
+      comments: buildThreads(roots, replies),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/comments:
+ *   post:
+ *     summary: Comment on a review or reply to a comment
+ *     tags: [Reviews]
+ */
+router.post('/:reviewId/comments', authenticateToken, requireVerifiedEmail, validateRequest(schemas.comment), async (req, res, next) => {
+  try {
+    const { reviewId } = req.params;
+    const { content, parentId } = req.body;
+    
+    const review = await Review.findById(reviewId);
+    
+    if (!review || !review.isPublic()) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    let parent = null;
+    if (parentId) {
+      parent = await Comment.findOne({ _id: parentId, reviewId });
+      
+      if (!parent) {
+        return res.status(404).json({ message: 'Parent comment not found' });
+      }
+      
+      if (parent.depth >= MAX_COMMENT_DEPTH) {
+        return res.status(400).json({ message: 'Replies cannot be nested any deeper' });
+      }
+    }
+    
+    const comment = new Comment({
+      reviewId,
+      userId: req.user._id,
+      parentId: parent ? parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      content
+    });
+    comment.rootId = parent ? parent.rootId : comment._id;
+    
+    await comment.save();
+    await Review.updateOne({ _id: reviewId }, { $inc: { commentCount: 1 } });
+    await comment.populate('userId', COMMENT_AUTHOR_FIELDS);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Comment created successfully',
+      comment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/comments/{commentId}:
+ *   put:
+ *     summary: Edit a comment
+ *     tags: [Reviews]
+ */
+router.put('/:reviewId/comments/:commentId', authenticateToken, requireVerifiedEmail, validateRequest(schemas.commentUpdate), async (req, res, next) => {
+  try {
+    const { reviewId, commentId } = req.params;
+    
+    const review = await Review.findById(reviewId);
+    
+    if (!review || !review.isPublic()) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    const comment = await Comment.findOne({ _id: commentId, reviewId });
+    
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (comment.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Not authorized to update this comment' });
+    }
+    
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    
+    await comment.save();
+    await comment.populate('userId', COMMENT_AUTHOR_FIELDS);
+    
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/reviews/{reviewId}/comments/{commentId}:
+ *   delete:
+ *     summary: Delete a comment
+ *     tags: [Reviews]
+ */
+router.delete('/:reviewId/comments/:commentId', authenticateToken, async (req, res, next) => {
+  try {
+    const { reviewId, commentId } = req.params;
+    
+    const review = await Review.findById(reviewId);
+    
+    if (!review || !review.isPublic()) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    
+    const comment = await Comment.findOne({ _id: commentId, reviewId });
+    
+    if (!comment || comment.isDeleted) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    
+    if (comment.userId.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Not authorized to delete this comment' });
+    }
+    
+    if (await Comment.exists({ parentId: comment._id })) {
+      comment.isDeleted = true;
+      comment.content = '[deleted]';
+      await comment.save();
+    } else {
+      await Comment.findByIdAndDelete(commentId);
+    }
+    await Review.updateOne({ _id: reviewId }, { $inc: { commentCount: -1 } });
+    
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
     });
   } catch (error) {
     next(error);
@@ -141,6 +542,19 @@ router.delete('/:reviewId', authenticateToken, async (req, res, next) => {
     }
     
     await Review.findByIdAndDelete(reviewId);
+    await Comment.deleteMany({ reviewId });
+    if (review.isPublic()) {
+      await ratingSummaryService.applyReviewChange(review.contentId, { before: review.rating });
+    }
+    await recommendationService.invalidate(review.userId);
+    
+    if (review.userId.toString() !== req.user._id.toString()) {
+      await notificationService.notify(review.userId, 'review_moderated', {
+        title: 'Your review was removed',
+        message: `An administrator removed your review "${review.title}".`,
+        data: { reviewId: review._id, contentId: review.contentId, action: 'removed' }
+      });
+    }
     
     res.json({
       success: true,
@@ -1,7 +1,14 @@
 const express = require('express');
 const User = require('../models/User');
+const Review = require('../models/Review');
 const { authenticateToken } = require('../middleware/auth');
+const { resolveCountry } = require('../middleware/region');
 const { validateRequest, schemas } = require('../middleware/validation');
+const catalogService = require('../services/catalogService');
+const genreService = require('../services/genreService');
+const watchlistAlertService = require('../services/watchlistAlertService');
+const notificationService = require('../services/notificationService');
+const recommendationService = require('../services/recommendationService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -51,6 +58,79 @@ router.put('/profile', authenticateToken, validateRequest(schemas.updateProfile)
   }
 });
 
+/**
+ * @swagger
+ * /api/users/preferences:
+ *   put:
+ *     summary: Update user preferences
+ *     tags: [Users]
+ */
+router.put('/preferences', authenticateToken, validateRequest(schemas.preferences), async (req, res, next) => {
+  try {
+    const { genres, language, country, services, autoplay, notifications } = req.body;
+
+    if (genres) {
+      const unknownGenres = await genreService.findUnknown(genres);
+
+      if (unknownGenres.length > 0) {
+        return res.status(400).json({
+          message: 'Validation error',
+          errors: [`Unknown genres: ${unknownGenres.join(', ')}`]
+        });
+      }
+      req.user.preferences.genres = genres;
+    }
+
+    if (language !== undefined) req.user.preferences.language = language;
+    if (country !== undefined) req.user.preferences.country = country.toLowerCase();
+    if (services !== undefined) req.user.preferences.services = services;
+    if (autoplay !== undefined) req.user.preferences.autoplay = autoplay;
+
+    if (notifications) {
+      Object.entries(notifications).forEach(([type, enabled]) => {
+        req.user.preferences.notifications[type] = enabled;
+      });
+    }
+
+    await req.user.save();
+    await recommendationService.invalidate(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      preferences: req.user.preferences
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/recommendations:
+ *   get:
+ *     summary: Get personalized recommendations with the reasons behind each pick
+ *     tags: [Users]
+ */
+router.get('/recommendations', authenticateToken, resolveCountry, async (req, res, next) => {
+  try {
+    const { limit = 20, refresh } = req.query;
+    const recommendations = await recommendationService.getForUser(req.user, {
+      country: req.region.country,
+      limit: Math.min(parseInt(limit, 10) || 20, 50),
+      refresh: refresh === 'true'
+    });
+    
+    res.json({
+      success: true,
+      region: req.region,
+      ...recommendations
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/users/watchlist:
@@ -64,7 +144,7 @@ router.get('/watchlist', authenticateToken, async (req, res, next) => {
     
     res.json({
       success: true,
-      watchlist: user.watchlist
+      watchlist: await catalogService.attachContent(user.watchlist)
     });
   } catch (error) {
     next(error);
@@ -129,6 +209,195 @@ router.delete('/watchlist/:contentId', authenticateToken, async (req, res, next)
   }
 });
 
+/**
+ * @swagger
+ * /api/users/notifications:
+ *   get:
+ *     summary: Get notifications
+ *     tags: [Notifications]
+ */
+router.get('/notifications', authenticateToken, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, unread } = req.query;
+    const { notifications, total } = await notificationService.listForUser(req.user._id, {
+      page,
+      limit,
+      unread: unread === 'true'
+    });
+    
+    res.json({
+      success: true,
+      notifications,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/notifications/unread-count:
+ *   get:
+ *     summary: Get the number of unread notifications
+ *     tags: [Notifications]
+ */
+router.get('/notifications/unread-count', authenticateToken, async (req, res, next) => {
+  try {
+    res.json({
+      success: true,
+      count: await notificationService.countUnread(req.user._id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/notifications/read-all:
+ *   put:
+ *     summary: Mark all notifications as read
+ *     tags: [Notifications]
+ */
+router.put('/notifications/read-all', authenticateToken, async (req, res, next) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user._id);
+    
+    res.json({
+      success: true,
+      message: 'Notifications marked as read',
+      updated
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/notifications/{notificationId}/read:
+ *   put:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ */
+router.put('/notifications/:notificationId/read', authenticateToken, async (req, res, next) => {
+  try {
+    const notification = await notificationService.markRead(req.user._id, req.params.notificationId);
+    
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    
+    res.json({
+      success: true,
+      notification
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/notifications/{notificationId}:
+ *   delete:
+ *     summary: Delete a notification
+ *     tags: [Notifications]
+ */
+router.delete('/notifications/:notificationId', authenticateToken, async (req, res, next) => {
+  try {
+    const notification = await notificationService.remove(req.user._id, req.params.notificationId);
+    
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Notification deleted'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/alerts:
+ *   get:
+ *     summary: Get availability alerts for watchlisted titles
+ *     tags: [User Interactions]
+ */
+router.get('/alerts', authenticateToken, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, unacknowledged } = req.query;
+    const { alerts, total } = await watchlistAlertService.listForUser(req.user._id, {
+      page,
+      limit,
+      unacknowledged: unacknowledged === 'true'
+    });
+    
+    res.json({
+      success: true,
+      alerts,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/alerts/acknowledge:
+ *   put:
+ *     summary: Acknowledge all watchlist alerts
+ *     tags: [User Interactions]
+ */
+router.put('/alerts/acknowledge', authenticateToken, async (req, res, next) => {
+  try {
+    const acknowledged = await watchlistAlertService.acknowledgeAll(req.user._id);
+    
+    res.json({
+      success: true,
+      message: 'Alerts acknowledged',
+      acknowledged
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/alerts/{alertId}/acknowledge:
+ *   put:
+ *     summary: Acknowledge a watchlist alert
+ *     tags: [User Interactions]
+ */
+router.put('/alerts/:alertId/acknowledge', authenticateToken, async (req, res, next) => {
+  try {
+    const alert = await watchlistAlertService.acknowledge(req.user._id, req.params.alertId);
+    
+    if (!alert) {
+      return res.status(404).json({ message: 'Alert not found' });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Alert acknowledged',
+      alert
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/user/favorites:
@@ -142,7 +411,7 @@ router.get('/favorites', authenticateToken, async (req, res, next) => {
     
     res.json({
       success: true,
-      favorites: user.favorites
+      favorites: await catalogService.attachContent(user.favorites)
     });
   } catch (error) {
     next(error);
@@ -163,6 +432,7 @@ router.post('/favorites', authenticateToken, validateRequest(schemas.watchlistIt
     
     req.user.favorites.push({ contentId, contentType });
     await req.user.save();
+    await recommendationService.invalidate(req.user._id);
     
     res.json({
       success: true,
@@ -182,6 +452,7 @@ router.delete('/favorites/:contentId', authenticateToken, async (req, res, next)
     );
     
     await req.user.save();
+    await recommendationService.invalidate(req.user._id);
     
     res.json({
       success: true,
@@ -192,6 +463,42 @@ router.delete('/favorites/:contentId', authenticateToken, async (req, res, next)
   }
 });
 
+/**
+ * @swagger
+ * /api/users/reviews:
+ *   get:
+ *     summary: Get your own reviews, including hidden ones and the moderation reason
+ *     tags: [Users]
+ */
+router.get('/reviews', authenticateToken, async (req, res, next) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    
+    const query = { userId: req.user._id };
+    if (status) {
+      query.status = status;
+    }
+    
+    const reviews = await Review.find(query)
+      .select('-reports')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await Review.countDocuments(query);
+    
+    res.json({
+      success: true,
+      reviews: await catalogService.attachContent(reviews),
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/user/history:
@@ -205,7 +512,9 @@ router.get('/history', authenticateToken, async (req, res, next) => {
     
     res.json({
       success: true,
-      history: user.watchHistory.sort((a, b) => b.lastWatched - a.lastWatched)
+      history: await catalogService.attachContent(
+        user.watchHistory.sort((a, b) => b.lastWatched - a.lastWatched)
+      )
     });
   } catch (error) {
     next(error);
@@ -237,6 +546,7 @@ router.post('/history', authenticateToken, validateRequest(schemas.historyItem),
     }
     
     await req.user.save();
+    await recommendationService.invalidate(req.user._id);
     
     res.json({
       success: true,
@@ -259,7 +569,7 @@ router.get('/continue-watching', authenticateToken, async (req, res, next) => {
     
     res.json({
       success: true,
-      continueWatching
+      continueWatching: await catalogService.attachContent(continueWatching)
     });
   } catch (error) {
     next(error);
@@ -270,6 +580,7 @@ router.delete('/history', authenticateToken, async (req, res, next) => {
   try {
     req.user.watchHistory = [];
     await req.user.save();
+    await recommendationService.invalidate(req.user._id);
     
     res.json({
       success: true,
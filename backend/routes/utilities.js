@@ -1,5 +1,5 @@
 const express = require('express');
-const rapidApiService = require('../services/rapidApiService');
+const genreService = require('../services/genreService');
 
 const router = express.Router();
 
@@ -12,11 +12,12 @@ const router = express.Router();
  */
 router.get('/genres', async (req, res, next) => {
   try {
-    const genres = await rapidApiService.getGenres();
+    const locale = req.query.lang || req.acceptsLanguages()[0];
+    const genres = await genreService.list({ locale: locale === '*' ? undefined : locale });
     
     res.json({
       success: true,
-      genres
+      genres: { genres }
     });
   } catch (error) {
     next(error);
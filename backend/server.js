@@ -12,12 +12,16 @@ require('dotenv').config();
 // Import middleware and routes
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const User = require('./models/User');
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const contentRoutes = require('./routes/content');
 const reviewRoutes = require('./routes/reviews');
 const adminRoutes = require('./routes/admin');
 const utilityRoutes = require('./routes/utilities');
+const { startCatalogSync } = require('./jobs/catalogSync');
+const { startWatchlistAlerts } = require('./jobs/watchlistAlerts');
+const rapidApiService = require('./services/rapidApiService');
 
 const app = express();
 
@@ -87,7 +91,14 @@ app.use('/api', utilityRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
-  res.status(200).json({ status: 'OK', timestamp: new Date().toISOString() });
+  const upstream = rapidApiService.getUpstreamStatus();
+  const degraded = (upstream.breaker && upstream.breaker.state !== 'closed') || (upstream.quota && upstream.quota.exhausted);
+
+  res.status(200).json({
+    status: degraded ? 'DEGRADED' : 'OK',
+    timestamp: new Date().toISOString(),
+    upstream
+  });
 });
 
 // Error handling middleware
@@ -100,13 +111,23 @@ app.use('*', (req, res) => {
 
 // MongoDB connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => {
+  .then(async () => {
     logger.info('Connected to MongoDB Atlas');
+
+    const dropped = await User.dropLegacyIndexes();
+    if (dropped.length > 0) {
+      logger.info(`Dropped legacy user indexes: ${dropped.join(', ')}`);
+    }
+
     const PORT = process.env.PORT || 5000;
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`);
     });
+
+    // Background jobs
+    startCatalogSync();
+    startWatchlistAlerts();
   })
   .catch((error) => {
     logger.error('MongoDB connection error:', error);
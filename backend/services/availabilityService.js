@@ -0,0 +1,62 @@
+// Streaming services users can list as subscriptions in preferences.services
+const SUPPORTED_SERVICES = [
+  'netflix', 'prime', 'disney', 'hbo', 'hulu', 'peacock', 'paramount', 'apple',
+  'mubi', 'stan', 'now', 'crave', 'all4', 'iplayer', 'britbox', 'hotstar',
+  'zee5', 'curiosity', 'plutotv', 'tubi'
+];
+
+// Option types a subscriber can watch without paying extra per title
+const STREAMABLE_TYPES = ['subscription', 'free', 'addon'];
+
+class AvailabilityService {
+  constructor() {
+    this.supportedServices = SUPPORTED_SERVICES;
+  }
+
+  // Where a show can be streamed in a country on the given services
+  availableOn(show, country, services) {
+    const options = (show.streamingOptions && show.streamingOptions[country]) || [];
+    const seen = new Set();
+
+    return options
+      .filter(option => services.includes(option.service.id) && STREAMABLE_TYPES.includes(option.type))
+      .filter(option => {
+        const key = `${option.service.id}:${option.type}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(option => ({
+        service: { id: option.service.id, name: option.service.name },
+        type: option.type,
+        link: option.link,
+        expiresOn: option.expiresOn
+      }));
+  }
+
+  annotate(shows, country, services) {
+    return shows.map(show => ({
+      ...show,
+      availableOn: this.availableOn(show, country, services)
+    }));
+  }
+
+  // Annotate a listing (a page envelope or a plain array of shows) with the
+  // caller's services, keeping only streamable titles in "mine" mode
+  apply(data, country, availability) {
+    if (!availability || availability.services.length === 0) {
+      return data;
+    }
+
+    const isPage = !Array.isArray(data);
+    let shows = this.annotate(isPage ? data.items : data, country, availability.services);
+
+    if (availability.mine) {
+      shows = shows.filter(show => show.availableOn.length > 0);
+    }
+
+    return isPage ? { ...data, items: shows } : shows;
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const CacheEntry = require('../models/CacheEntry');
+const LRUCache = require('../utils/lruCache');
+const logger = require('../utils/logger');
+
+// Time-to-live in seconds per upstream endpoint, matched by longest prefix
+const DEFAULT_TTLS = {
+  '/shows/search/filters': 30 * 60,
+  '/shows/search/title': 60 * 60,
+  '/shows/top': 6 * 60 * 60,
+  '/shows/': 24 * 60 * 60,
+  '/changes': 15 * 60
+};
+
+const parseTtlOverrides = () => {
+  if (!process.env.CACHE_TTLS) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.CACHE_TTLS);
+  } catch (error) {
+    logger.warn('Ignoring invalid CACHE_TTLS, expected a JSON object of endpoint prefix to seconds');
+    return {};
+  }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class CacheService {
+  constructor() {
+    this.enabled = process.env.CACHE_ENABLED !== 'false';
+    this.defaultTtl = parseInt(process.env.CACHE_DEFAULT_TTL, 10) || 10 * 60;
+    // How long expired entries are kept around as a fallback for upstream outages
+    this.staleTtl = parseInt(process.env.CACHE_STALE_TTL, 10) || 24 * 60 * 60;
+    this.ttls = { ...DEFAULT_TTLS, ...parseTtlOverrides() };
+    this.memory = new LRUCache(parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 500);
+    this.inFlight = new Map();
+    this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = {
+      memoryHits: 0,
+      sharedHits: 0,
+      misses: 0,
+      coalesced: 0,
+      staleServed: 0,
+      errors: 0,
+      byEndpoint: {},
+      since: new Date()
+    };
+  }
+
+  // Find the configured prefix for an endpoint, used for TTLs and stats grouping
+  matchPrefix(endpoint) {
+    return Object.keys(this.ttls)
+      .filter(prefix => endpoint.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0] || endpoint;
+  }
+
+  ttlFor(endpoint) {
+    const prefix = this.matchPrefix(endpoint);
+    return this.ttls[prefix] !== undefined ? this.ttls[prefix] : this.defaultTtl;
+  }
+
+  // Build a stable key regardless of the order params were added in
+  buildKey(endpoint, params = {}) {
+    const query = Object.keys(params)
+      .filter(key => params[key] !== undefined && params[key] !== null)
+      .sort()
+      .map(key => {
+        const value = Array.isArray(params[key]) ? [...params[key]].sort().join(',') : params[key];
+        return `${key}=${value}`;
+      })
+      .join('&');
+
+    return query ? `${endpoint}?${query}` : endpoint;
+  }
+
+  isSharedTierAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  record(endpoint, outcome) {
+    const group = this.matchPrefix(endpoint);
+
+    if (!this.stats.byEndpoint[group]) {
+      this.stats.byEndpoint[group] = { hits: 0, misses: 0 };
+    }
+
+    if (outcome === 'miss') {
+      this.stats.misses++;
+      this.stats.byEndpoint[group].misses++;
+    } else {
+      this.stats[outcome === 'memory' ? 'memoryHits' : 'sharedHits']++;
+      this.stats.byEndpoint[group].hits++;
+    }
+  }
+
+  // Returns { value, tier, stale } or null when nothing usable is cached
+  async get(key) {
+    const cached = this.memory.get(key);
+    if (cached) {
+      const { value, freshUntil } = cached.value;
+      return { value, tier: 'memory', stale: freshUntil <= Date.now() };
+    }
+
+    if (!this.isSharedTierAvailable()) {
+      return null;
+    }
+
+    try {
+      const entry = await CacheEntry.findOneAndUpdate(
+        { key, expiresAt: { $gt: new Date() } },
+        { $inc: { hits: 1 } },
+        { new: true }
+      ).lean();
+
+      if (!entry) {
+        return null;
+      }
+
+      // Promote to the memory tier for the remainder of its lifetime
+      const freshUntil = (entry.freshUntil || entry.expiresAt).getTime();
+      this.memory.set(key, { value: entry.value, freshUntil }, entry.expiresAt.getTime());
+      return { value: entry.value, tier: 'shared', stale: freshUntil <= Date.now() };
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn(`Cache read failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async set(key, endpoint, value, ttl = this.ttlFor(endpoint)) {
+    const freshUntil = new Date(Date.now() + ttl * 1000);
+    const expiresAt = new Date(freshUntil.getTime() + this.staleTtl * 1000);
+    this.memory.set(key, { value, freshUntil: freshUntil.getTime() }, expiresAt.getTime());
+
+    if (!this.isSharedTierAvailable()) {
+      return;
+    }
+
+    try {
+      await CacheEntry.updateOne(
+        { key },
+        { $set: { endpoint, value, freshUntil, expiresAt, hits: 0 } },
+        { upsert: true }
+      );
+    } catch (error) {
+      this.stats.errors++;
+      logger.warn(`Cache write failed for ${key}: ${error.message}`);
+    }
+  }
+
+  // Return a cached response or call fetcher once, sharing the result with concurrent callers.
+  // A stale entry is refreshed, but still served if the fetcher fails.
+  async wrap(endpoint, params, fetcher) {
+    if (!this.enabled) {
+      return fetcher();
+    }
+
+    const key = this.buildKey(endpoint, params);
+    const cached = await this.get(key);
+
+    if (cached && !cached.stale) {
+      this.record(endpoint, cached.tier);
+      return cached.value;
+    }
+
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      return this.inFlight.get(key);
+    }
+
+    this.record(endpoint, 'miss');
+
+    const request = (async () => {
+      try {
+        const value = await fetcher();
+        await this.set(key, endpoint, value);
+        return value;
+      } catch (error) {
+        if (cached) {
+          this.stats.staleServed++;
+          logger.warn(`Serving stale cache for ${key}: ${error.message}`);
+          return cached.value;
+        }
+        throw error;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, request);
+    return request;
+  }
+
+  async list({ endpoint, page = 1, limit = 20 } = {}) {
+    const query = endpoint ? { endpoint: { $regex: `^${escapeRegex(endpoint)}` } } : {};
+
+    if (!this.isSharedTierAvailable()) {
+      return { entries: [], total: 0 };
+    }
+
+    const [entries, total] = await Promise.all([
+      CacheEntry.find(query)
+        .select('-value')
+        .sort({ updatedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit)
+        .lean(),
+      CacheEntry.countDocuments(query)
+    ]);
+
+    return { entries, total };
+  }
+
+  // Purge a single key, every key under an endpoint prefix, or everything
+  async purge({ key, endpoint } = {}) {
+    let memoryRemoved;
+    let query;
+
+    if (key) {
+      memoryRemoved = this.memory.delete(key) ? 1 : 0;
+      query = { key };
+    } else if (endpoint) {
+      memoryRemoved = this.memory.deleteWhere(cachedKey => cachedKey.startsWith(endpoint));
+      query = { endpoint: { $regex: `^${escapeRegex(endpoint)}` } };
+    } else {
+      memoryRemoved = this.memory.size;
+      this.memory.clear();
+      query = {};
+    }
+
+    let sharedRemoved = 0;
+    if (this.isSharedTierAvailable()) {
+      const result = await CacheEntry.deleteMany(query);
+      sharedRemoved = result.deletedCount;
+    }
+
+    logger.info(`Cache purged (${key || endpoint || 'all'}): ${memoryRemoved} memory, ${sharedRemoved} shared`);
+    return { memoryRemoved, sharedRemoved };
+  }
+
+  getStats() {
+    const hits = this.stats.memoryHits + this.stats.sharedHits;
+    const lookups = hits + this.stats.misses;
+
+    return {
+      enabled: this.enabled,
+      ...this.stats,
+      hitRate: lookups ? Number((hits / lookups).toFixed(3)) : 0,
+      memoryEntries: this.memory.size,
+      memoryCapacity: this.memory.maxEntries,
+      inFlight: this.inFlight.size,
+      ttls: this.ttls
+    };
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const Content = require('../models/Content');
+const LRUCache = require('../utils/lruCache');
+const logger = require('../utils/logger');
+
+// Skip rewriting a title we stored in the last few minutes
+const UPSERT_THROTTLE_MS = 10 * 60 * 1000;
+
+// Keep only the latest availability changes per title
+const MAX_RECENT_CHANGES = 20;
+
+const pickImage = (images = {}) => {
+  const sizes = Object.keys(images);
+  return sizes.length > 0 ? images[sizes[sizes.length - 1]] : undefined;
+};
+
+// Map an upstream show to the fields stored in the local catalog
+const toContentFields = (show) => {
+  const imageSet = show.imageSet || {};
+
+  return {
+    contentId: String(show.id),
+    imdbId: show.imdbId,
+    tmdbId: show.tmdbId,
+    showType: show.showType,
+    title: show.title,
+    originalTitle: show.originalTitle,
+    overview: show.overview,
+    releaseYear: show.releaseYear || show.firstAirYear,
+    genres: (show.genres || []).map(genre => ({ id: genre.id, name: genre.name })),
+    directors: show.directors || [],
+    creators: show.creators || [],
+    cast: show.cast || [],
+    rating: show.rating,
+    posterUrl: pickImage(imageSet.verticalPoster),
+    backdropUrl: pickImage(imageSet.horizontalBackdrop),
+    seasonCount: show.seasonCount,
+    episodeCount: show.episodeCount,
+    syncedAt: new Date()
+  };
+};
+
+// Upstream only returns options for the requested country, so merge per country
+// instead of replacing what other regions stored
+const toStreamingOptionFields = (show) => {
+  const options = show.streamingOptions || {};
+
+  return Object.keys(options).reduce((fields, country) => {
+    fields[`streamingOptions.${country}`] = options[country];
+    return fields;
+  }, {});
+};
+
+class CatalogService {
+  constructor() {
+    this.recentlyStored = new LRUCache(1000);
+  }
+
+  isAvailable() {
+    return mongoose.connection.readyState === 1;
+  }
+
+  // Store or refresh a title from an upstream show payload
+  async upsertFromShow(show, { force = false } = {}) {
+    if (!show || !show.id || !show.title || !this.isAvailable()) {
+      return null;
+    }
+
+    const contentId = String(show.id);
+    const throttleKey = `${contentId}:${Object.keys(show.streamingOptions || {}).sort().join(',')}`;
+    if (!force && this.recentlyStored.get(throttleKey)) {
+      return null;
+    }
+
+    try {
+      const fields = { ...toContentFields(show), ...toStreamingOptionFields(show) };
+      const content = await Content.findOneAndUpdate(
+        { contentId },
+        { $set: fields },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      this.recentlyStored.set(throttleKey, true, Date.now() + UPSERT_THROTTLE_MS);
+      return content;
+    } catch (error) {
+      logger.warn(`Failed to store catalog entry ${contentId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Apply a /changes response: refresh the shows it carries and record each
+  // change not already recorded. Returns how many titles and changes were new.
+  async applyChanges(response, country) {
+    const shows = (response && response.shows) || {};
+    const changes = (response && response.changes) || [];
+    let stored = 0;
+    let recorded = 0;
+
+    for (const show of Object.values(shows)) {
+      if (await this.upsertFromShow(show, { force: true })) {
+        stored++;
+      }
+    }
+
+    for (const change of changes) {
+      if (!change.showId) continue;
+
+      const entry = {
+        changeType: change.changeType,
+        country: change.country || country,
+        service: change.service && change.service.id,
+        streamingOptionType: change.streamingOptionType,
+        timestamp: change.timestamp ? new Date(change.timestamp * 1000) : new Date()
+      };
+
+      // Feeds overlap between runs, so the same change can arrive twice
+      const result = await Content.updateOne(
+        {
+          contentId: String(change.showId),
+          recentChanges: {
+            $not: { $elemMatch: { changeType: entry.changeType, service: entry.service, timestamp: entry.timestamp } }
+          }
+        },
+        {
+          $push: {
+            recentChanges: {
+              $each: [entry],
+              $slice: -MAX_RECENT_CHANGES
+            }
+          }
+        }
+      );
+
+      recorded += result.modifiedCount;
+    }
+
+    return { stored, changes: recorded };
+  }
+
+  async findByIds(contentIds) {
+    if (!this.isAvailable() || contentIds.length === 0) {
+      return {};
+    }
+
+    const entries = await Content.find({ contentId: { $in: contentIds } })
+      .select('-streamingOptions -recentChanges')
+      .lean();
+
+    return entries.reduce((catalog, entry) => {
+      catalog[entry.contentId] = entry;
+      return catalog;
+    }, {});
+  }
+
+  // Join user list entries (watchlist, favorites, history...) with local metadata
+  async attachContent(items) {
+    const plainItems = items.map(item => (item.toObject ? item.toObject() : item));
+    const catalog = await this.findByIds([...new Set(plainItems.map(item => item.contentId))]);
+
+    return plainItems.map(item => ({
+      ...item,
+      content: catalog[item.contentId] || null
+    }));
+  }
+}
+
+module.exports = new CatalogService();
@@ -0,0 +1,91 @@
+const Genre = require('../models/Genre');
+const rapidApiService = require('./rapidApiService');
+const logger = require('../utils/logger');
+
+class GenreService {
+  // Upsert the provider's genres, keeping admin changes (names, visibility, order)
+  async syncFromProvider() {
+    const { genres } = await rapidApiService.getGenres();
+    const syncedAt = new Date();
+
+    const result = await Genre.bulkWrite(genres.map((genre, index) => ({
+      updateOne: {
+        filter: { genreId: genre.id },
+        update: {
+          $set: { name: genre.name, syncedAt },
+          $setOnInsert: { order: index, hidden: false }
+        },
+        upsert: true
+      }
+    })));
+
+    logger.info(`Genres synced: ${result.upsertedCount} created, ${result.modifiedCount} updated`);
+    return { created: result.upsertedCount, updated: result.modifiedCount };
+  }
+
+  // The taxonomy is seeded from the provider the first time it is needed
+  async ensureSeeded() {
+    if (await Genre.estimatedDocumentCount() === 0) {
+      await this.syncFromProvider();
+    }
+  }
+
+  format(genre, locale) {
+    return {
+      id: genre.genreId,
+      name: genre.nameFor(locale),
+      hidden: genre.hidden,
+      order: genre.order
+    };
+  }
+
+  async list({ locale, includeHidden = false } = {}) {
+    await this.ensureSeeded();
+
+    const query = includeHidden ? {} : { hidden: false };
+    const genres = await Genre.find(query).sort({ order: 1, name: 1 });
+
+    return genres.map(genre => {
+      const formatted = this.format(genre, locale);
+
+      if (!includeHidden) {
+        delete formatted.hidden;
+        delete formatted.order;
+      }
+      return formatted;
+    });
+  }
+
+  // Returns the ids that are not part of the visible taxonomy
+  async findUnknown(genreIds = []) {
+    if (genreIds.length === 0) {
+      return [];
+    }
+
+    await this.ensureSeeded();
+
+    const known = await Genre.find({ genreId: { $in: genreIds }, hidden: false }).select('genreId');
+    const knownIds = new Set(known.map(genre => genre.genreId));
+    return genreIds.filter(genreId => !knownIds.has(genreId));
+  }
+
+  async isKnown(genreId) {
+    const unknown = await this.findUnknown([genreId]);
+    return unknown.length === 0;
+  }
+
+  // Assign order by position in the given list, genres not listed keep their relative order after it
+  async reorder(genreIds) {
+    const others = await Genre.find({ genreId: { $nin: genreIds } }).sort({ order: 1, name: 1 }).select('genreId');
+    const ordered = [...genreIds, ...others.map(genre => genre.genreId)];
+
+    await Genre.bulkWrite(ordered.map((genreId, index) => ({
+      updateOne: {
+        filter: { genreId },
+        update: { $set: { order: index } }
+      }
+    })));
+  }
+}
+
+module.exports = new GenreService();
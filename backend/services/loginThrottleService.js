@@ -0,0 +1,189 @@
+const LoginThrottle = require('../models/LoginThrottle');
+const securityEventService = require('./securityEventService');
+const notificationService = require('./notificationService');
+
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const MAX_ACCOUNT_FAILURES = parseInt(process.env.LOGIN_MAX_ACCOUNT_FAILURES, 10) || 5;
+const MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES, 10) || 20;
+// Failures allowed before delays start, then the delay doubles with every failure
+const FREE_ATTEMPTS = parseInt(process.env.LOGIN_FREE_ATTEMPTS, 10) || 2;
+const BASE_DELAY_MS = parseInt(process.env.LOGIN_BASE_DELAY_MS, 10) || 1000;
+const MAX_DELAY_MS = parseInt(process.env.LOGIN_MAX_DELAY_MS, 10) || 30 * 1000;
+
+const MINUTE = 60 * 1000;
+
+const accountKey = (email) => `account:${String(email).toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const delayFor = (failures) => (failures <= FREE_ATTEMPTS
+  ? 0
+  : Math.min(BASE_DELAY_MS * 2 ** (failures - FREE_ATTEMPTS - 1), MAX_DELAY_MS));
+
+// Attempts that keep losing the race to claim a key are refused rather than retried forever
+const CLAIM_TRIES = 3;
+
+const time = (date) => (date ? date.getTime() : 0);
+
+class LoginThrottleService {
+  // Count one attempt against a key before the credentials are checked, as a
+  // failure until it is refunded. The count is compare-and-swapped, so
+  // parallel attempts each get their own number and can't slip past a delay
+  // or lockout an earlier one earned. Delays only apply per account, so users
+  // sharing an address aren't slowed down by each other.
+  async claim(key, kind, maxFailures) {
+    for (let tries = 0; tries < CLAIM_TRIES; tries++) {
+      const now = new Date();
+
+      // Start over once the window has passed without a failure, unless still locked
+      await LoginThrottle.deleteOne({
+        key,
+        lastFailureAt: { $lt: new Date(now.getTime() - FAILURE_WINDOW_MINUTES * MINUTE) },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      });
+
+      const entry = await LoginThrottle.findOne({ key }).lean();
+      const previous = entry ? entry.failures : 0;
+
+      if (entry && time(entry.lockedUntil) > now.getTime()) {
+        return { allowed: false, locked: true, retryAfterMs: time(entry.lockedUntil) - now.getTime() };
+      }
+      if (entry && time(entry.nextAttemptAt) > now.getTime()) {
+        return { allowed: false, locked: false, retryAfterMs: time(entry.nextAttemptAt) - now.getTime() };
+      }
+
+      const failures = previous + 1;
+      const update = {
+        kind,
+        lastFailureAt: now,
+        nextAttemptAt: new Date(now.getTime() + (kind === 'account' ? delayFor(failures) : 0)),
+        expiresAt: new Date(now.getTime() + FAILURE_WINDOW_MINUTES * MINUTE)
+      };
+
+      // Attempts are refused while locked, so any attempt past the threshold
+      // comes after a lockout ended and locks again
+      const lockedNow = failures >= maxFailures;
+      if (lockedNow) {
+        update.lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * MINUTE);
+        update.expiresAt = new Date(Math.max(update.expiresAt.getTime(), update.lockedUntil.getTime()));
+      }
+
+      try {
+        // Only matches while nobody else has claimed since the read; a missing
+        // entry is inserted, or collides on the unique key if another attempt
+        // inserted it first
+        const claimed = await LoginThrottle.findOneAndUpdate(
+          { key, failures: previous },
+          { $inc: { failures: 1 }, $set: update },
+          { upsert: true, new: true }
+        );
+
+        if (claimed) {
+          return { allowed: true, key, failures, lockedNow, nextAttemptAt: update.nextAttemptAt, lockedUntil: update.lockedUntil };
+        }
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return { allowed: false, locked: false, retryAfterMs: 1000 };
+  }
+
+  // Give back a claimed attempt that turned out not to be a failure, along
+  // with the delay and lockout it set
+  async refund(claim) {
+    const update = { $inc: { failures: -1 } };
+    if (claim.lockedNow) {
+      update.$unset = { lockedUntil: '' };
+    }
+    await LoginThrottle.updateOne({ key: claim.key, failures: { $gt: 0 } }, update);
+
+    // Unless a later attempt has set its own delay since
+    await LoginThrottle.updateOne(
+      { key: claim.key, nextAttemptAt: claim.nextAttemptAt },
+      { $set: { nextAttemptAt: new Date() } }
+    );
+  }
+
+  // Claim a login attempt for the account and the IP. Refused attempts
+  // aren't counted. The response doesn't depend on whether the account
+  // exists, so it can't be used for enumeration.
+  async attempt({ email, ip }) {
+    const account = await this.claim(accountKey(email), 'account', MAX_ACCOUNT_FAILURES);
+    const address = account.allowed ? await this.claim(ipKey(ip), 'ip', MAX_IP_FAILURES) : null;
+
+    if (address && !address.allowed) {
+      await this.refund(account);
+    }
+
+    const refused = account.allowed ? address : account;
+    if (refused.allowed) {
+      return { allowed: true, account, address };
+    }
+
+    return {
+      allowed: false,
+      locked: refused.locked,
+      retryAfter: Math.ceil(refused.retryAfterMs / 1000)
+    };
+  }
+
+  // The attempt was neither a failure nor a completed login, e.g. a correct
+  // password still waiting for its two-factor code
+  async release(attempt) {
+    await this.refund(attempt.account);
+    await this.refund(attempt.address);
+  }
+
+  // Report the lockouts a failed password or two-factor check earned; the
+  // attempt itself was already counted. `userId` is set when the email
+  // belongs to an account.
+  async recordFailure({ attempt, email, userId, req }) {
+    const { account, address } = attempt;
+
+    if (account.lockedNow) {
+      await securityEventService.record('account_locked', {
+        userId,
+        req,
+        details: { email, failures: account.failures, lockedUntil: account.lockedUntil }
+      });
+
+      if (userId) {
+        await notificationService.notify(userId, 'security', {
+          title: 'Account temporarily locked',
+          message: `Sign-in was locked for ${LOCKOUT_MINUTES} minutes after ${account.failures} failed attempts. If this wasn't you, consider changing your password.`
+        });
+      }
+    }
+
+    if (address.lockedNow) {
+      await securityEventService.record('ip_locked', {
+        req,
+        details: { ip: req.ip, failures: address.failures, lockedUntil: address.lockedUntil }
+      });
+    }
+  }
+
+  // A successful login clears the account's failures; the IP only gets this
+  // attempt back and its earlier failures are left to expire
+  async recordSuccess({ attempt, email }) {
+    await LoginThrottle.deleteOne({ key: accountKey(email) });
+    await this.refund(attempt.address);
+  }
+
+  // Returns whether the account had failures or a lockout to clear
+  async unlockAccount(email) {
+    const result = await LoginThrottle.deleteOne({ key: accountKey(email) });
+    return result.deletedCount > 0;
+  }
+
+  async listLocked({ kind } = {}) {
+    const query = { lockedUntil: { $gt: new Date() } };
+    if (kind) {
+      query.kind = kind;
+    }
+    return await LoginThrottle.find(query).sort({ lockedUntil: -1 });
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,15 @@
+const MailTransport = require('./mailTransport');
+const logger = require('../../utils/logger');
+
+// Logs messages instead of sending them
+class ConsoleTransport extends MailTransport {
+  constructor() {
+    super('console');
+  }
+
+  async send(message) {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}
+
+module.exports = ConsoleTransport;
@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+const MailTransport = require('./mailTransport');
+
+// Writes each message as a JSON file to MAIL_DIR, so links in outgoing mail can
+// be followed locally and inspected in tests
+class FileTransport extends MailTransport {
+  constructor(mailDir = process.env.MAIL_DIR || path.join(__dirname, '../../logs/mail')) {
+    super('file');
+    this.mailDir = mailDir;
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.mailDir, { recursive: true });
+
+    const recipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const file = path.join(this.mailDir, `${Date.now()}-${recipient}.json`);
+    await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+  }
+}
+
+module.exports = FileTransport;
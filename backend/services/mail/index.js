@@ -0,0 +1,27 @@
+const SmtpTransport = require('./smtpTransport');
+const FileTransport = require('./fileTransport');
+const ConsoleTransport = require('./consoleTransport');
+const logger = require('../../utils/logger');
+
+const transports = {
+  smtp: SmtpTransport,
+  file: FileTransport,
+  console: ConsoleTransport
+};
+
+// Pick the mail transport from MAIL_TRANSPORT (defaults to file outside production)
+const createTransport = (name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'file')) => {
+  const Transport = transports[name];
+
+  if (!Transport) {
+    throw new Error(`Unknown mail transport "${name}", expected one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  logger.info(`Using ${name} mail transport`);
+  return new Transport();
+};
+
+module.exports = {
+  createTransport,
+  transports
+};
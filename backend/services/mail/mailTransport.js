@@ -0,0 +1,13 @@
+// Interface every mail transport implements. A message is
+// { from, to, subject, text, html } and send resolves once it has been handed off.
+class MailTransport {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async send(message) {
+    throw new Error(`${this.name} mail transport does not implement send`);
+  }
+}
+
+module.exports = MailTransport;
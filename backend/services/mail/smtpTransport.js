@@ -0,0 +1,27 @@
+const nodemailer = require('nodemailer');
+const MailTransport = require('./mailTransport');
+
+// Delivers through an SMTP relay configured with SMTP_HOST, SMTP_PORT,
+// SMTP_SECURE, SMTP_USER and SMTP_PASS
+class SmtpTransport extends MailTransport {
+  constructor() {
+    super('smtp');
+
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is required for the smtp mail transport');
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+module.exports = SmtpTransport;
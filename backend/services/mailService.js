@@ -0,0 +1,67 @@
+const { createTransport } = require('./mail');
+const logger = require('../utils/logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@localhost';
+
+// Links in emails point at the client app
+const APP_URL = (process.env.APP_URL || (process.env.CLIENT_URL || 'http://localhost:3000').split(',')[0]).replace(/\/$/, '');
+
+class MailService {
+  constructor(transport = null) {
+    this._transport = transport;
+  }
+
+  // Created on first use so a misconfigured transport only fails when mail is sent
+  get transport() {
+    if (!this._transport) {
+      this._transport = createTransport();
+    }
+    return this._transport;
+  }
+
+  link(pathname, params) {
+    return `${APP_URL}${pathname}?${new URLSearchParams(params).toString()}`;
+  }
+
+  // Failures are logged and reported as false, never thrown, so callers can
+  // respond the same way whether or not delivery worked
+  async send({ to, subject, text, html }) {
+    try {
+      await this.transport.send({ from: MAIL_FROM, to, subject, text, html });
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send "${subject}" to ${to}:`, error.message);
+      return false;
+    }
+  }
+
+  async sendPasswordReset(user, token, expiresInMinutes) {
+    const url = this.link('/reset-password', { token });
+
+    return await this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: `Hi ${user.firstName},\n\nUse the link below to choose a new password. It expires in ${expiresInMinutes} minutes and can only be used once.\n\n${url}\n\nIf you didn't ask for this, you can ignore this email.`
+    });
+  }
+
+  async sendEmailVerification(user, token) {
+    const url = this.link('/verify-email', { token });
+
+    return await this.send({
+      to: user.email,
+      subject: 'Confirm your email address',
+      text: `Hi ${user.firstName},\n\nPlease confirm your email address by following the link below. Until you do, you won't be able to post reviews or comments.\n\n${url}`
+    });
+  }
+
+  async sendPasswordChanged(user) {
+    return await this.send({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: `Hi ${user.firstName},\n\nThe password for your account was just changed and your other sessions were signed out.\n\nIf this wasn't you, reset your password right away.`
+    });
+  }
+}
+
+module.exports = new MailService();
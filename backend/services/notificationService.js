@@ -0,0 +1,76 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+// Types users can't opt out of
+const MANDATORY_TYPES = ['security'];
+
+class NotificationService {
+  async isEnabled(userId, type) {
+    if (MANDATORY_TYPES.includes(type)) {
+      return true;
+    }
+
+    const user = await User.findById(userId).select('preferences.notifications').lean();
+    const settings = user && user.preferences && user.preferences.notifications;
+    return !settings || settings[type] !== false;
+  }
+
+  // Single entry point for notifying a user. Failures are logged, never thrown,
+  // so a notification can't break the request that triggered it.
+  async notify(userId, type, { title, message, data = {} }) {
+    try {
+      if (!await this.isEnabled(userId, type)) {
+        return null;
+      }
+
+      return await Notification.create({ userId, type, title, message, data });
+    } catch (error) {
+      logger.error(`Failed to send ${type} notification to ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  async listForUser(userId, { page = 1, limit = 20, unread = false } = {}) {
+    const query = { userId };
+    if (unread) {
+      query.readAt = null;
+    }
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      Notification.countDocuments(query)
+    ]);
+
+    return { notifications, total };
+  }
+
+  async countUnread(userId) {
+    return await Notification.countDocuments({ userId, readAt: null });
+  }
+
+  async markRead(userId, notificationId) {
+    return await Notification.findOneAndUpdate(
+      { _id: notificationId, userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  async remove(userId, notificationId) {
+    return await Notification.findOneAndDelete({ _id: notificationId, userId });
+  }
+}
+
+module.exports = new NotificationService();
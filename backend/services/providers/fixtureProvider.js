@@ -0,0 +1,183 @@
+const fs = require('fs');
+const path = require('path');
+const MetadataProvider = require('./metadataProvider');
+const { AppError } = require('../../utils/errors');
+
+const PAGE_SIZE = parseInt(process.env.FIXTURE_PAGE_SIZE, 10) || 20;
+
+const toArray = (value) => {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : String(value).split(',');
+};
+
+// Serves shows, changes and genres from JSON files on disk so the content
+// routes can run without network access or a RapidAPI key
+class FixtureProvider extends MetadataProvider {
+  constructor(fixturesDir = process.env.FIXTURES_DIR || path.join(__dirname, '../../fixtures')) {
+    super('fixture');
+    this.fixturesDir = fixturesDir;
+    this.data = {};
+  }
+
+  load(name) {
+    if (!this.data[name]) {
+      const file = path.join(this.fixturesDir, `${name}.json`);
+      this.data[name] = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    return this.data[name];
+  }
+
+  isAvailable(show, country, catalogs = []) {
+    const options = (show.streamingOptions && show.streamingOptions[country]) || [];
+
+    if (catalogs.length === 0) {
+      return options.length > 0;
+    }
+
+    return catalogs.some(catalog => {
+      const [serviceId, type] = catalog.split('.');
+      return options.some(option => option.service.id === serviceId && (!type || option.type === type));
+    });
+  }
+
+  // Keep only the requested level of season/episode detail, like the series_granularity param
+  withGranularity(show, granularity = 'episode') {
+    if (!show.seasons || granularity === 'episode') {
+      return show;
+    }
+
+    if (granularity === 'show') {
+      const { seasons, ...rest } = show;
+      return rest;
+    }
+
+    return {
+      ...show,
+      seasons: show.seasons.map(({ episodes, ...season }) => season)
+    };
+  }
+
+  sortShows(shows, orderBy = 'original_title', direction) {
+    const keys = {
+      original_title: show => show.originalTitle || show.title,
+      release_date: show => show.releaseYear || show.firstAirYear || 0,
+      rating: show => show.rating || 0
+    };
+    const key = orderBy.startsWith('popularity') ? (show => show.popularity || 0) : keys[orderBy] || keys.original_title;
+    const order = (direction || (orderBy === 'original_title' ? 'asc' : 'desc')) === 'asc' ? 1 : -1;
+
+    return [...shows].sort((a, b) => {
+      const left = key(a);
+      const right = key(b);
+      return (left > right ? 1 : left < right ? -1 : 0) * order;
+    });
+  }
+
+  paginate(items, cursor) {
+    const offset = parseInt(cursor, 10) || 0;
+    const page = items.slice(offset, offset + PAGE_SIZE);
+    const hasMore = offset + PAGE_SIZE < items.length;
+
+    return {
+      page,
+      hasMore,
+      nextCursor: hasMore ? String(offset + PAGE_SIZE) : undefined
+    };
+  }
+
+  async searchShows(params = {}) {
+    const catalogs = toArray(params.catalogs);
+    const genres = toArray(params.genres);
+    const keyword = params.keyword && params.keyword.toLowerCase();
+
+    const matches = this.load('shows').filter(show => {
+      if (!this.isAvailable(show, params.country, catalogs)) return false;
+      if (params.show_type && show.showType !== params.show_type) return false;
+      if (params.rating_min && (show.rating || 0) < params.rating_min) return false;
+
+      if (genres.length > 0) {
+        const showGenres = (show.genres || []).map(genre => genre.id);
+        const matchesGenre = params.genres_relation === 'or'
+          ? genres.some(genre => showGenres.includes(genre))
+          : genres.every(genre => showGenres.includes(genre));
+        if (!matchesGenre) return false;
+      }
+
+      if (keyword && !`${show.title} ${show.overview}`.toLowerCase().includes(keyword)) return false;
+      return true;
+    });
+
+    const { page, hasMore, nextCursor } = this.paginate(
+      this.sortShows(matches, params.order_by, params.order_direction),
+      params.cursor
+    );
+
+    return {
+      shows: page.map(show => this.withGranularity(show, params.series_granularity)),
+      hasMore,
+      nextCursor
+    };
+  }
+
+  async searchTitle(params = {}) {
+    const title = (params.title || '').toLowerCase();
+
+    return this.load('shows')
+      .filter(show => show.title.toLowerCase().includes(title))
+      .filter(show => !params.show_type || show.showType === params.show_type)
+      .filter(show => !params.country || this.isAvailable(show, params.country))
+      .map(show => this.withGranularity(show, params.series_granularity));
+  }
+
+  async getShow(id, params = {}) {
+    const show = this.load('shows').find(item => item.id === String(id) || item.imdbId === String(id));
+
+    if (!show) {
+      throw new AppError('Show not found', 404);
+    }
+
+    return this.withGranularity(show, params.series_granularity);
+  }
+
+  async getChanges(params = {}) {
+    const catalogs = toArray(params.catalogs);
+    const shows = this.load('shows');
+
+    const changes = this.load('changes').filter(change => {
+      if (params.change_type && change.changeType !== params.change_type) return false;
+      if (params.show_type && change.showType !== params.show_type) return false;
+      if (params.country && change.country && change.country !== params.country) return false;
+      if (params.from && change.timestamp < params.from) return false;
+      if (catalogs.length > 0 && !catalogs.some(catalog => catalog.split('.')[0] === change.service.id)) return false;
+      return true;
+    });
+
+    const { page, hasMore, nextCursor } = this.paginate(changes, params.cursor);
+    const relatedShows = {};
+
+    page.forEach(change => {
+      const show = shows.find(item => item.id === change.showId);
+      if (show) {
+        relatedShows[show.id] = this.withGranularity(show, 'show');
+      }
+    });
+
+    return { changes: page, shows: relatedShows, hasMore, nextCursor };
+  }
+
+  async getTopShows(params = {}) {
+    const shows = this.load('shows')
+      .filter(show => this.isAvailable(show, params.country, [params.service]))
+      .filter(show => !params.show_type || show.showType === params.show_type);
+
+    return this.sortShows(shows, 'popularity_alltime').slice(0, 10);
+  }
+
+  async getGenres() {
+    return { genres: this.load('genres') };
+  }
+}
+
+module.exports = FixtureProvider;
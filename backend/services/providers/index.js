@@ -0,0 +1,25 @@
+const RapidApiProvider = require('./rapidApiProvider');
+const FixtureProvider = require('./fixtureProvider');
+const logger = require('../../utils/logger');
+
+const providers = {
+  rapidapi: RapidApiProvider,
+  fixture: FixtureProvider
+};
+
+// Pick the metadata provider from METADATA_PROVIDER (defaults to rapidapi)
+const createProvider = (name = process.env.METADATA_PROVIDER || 'rapidapi') => {
+  const Provider = providers[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown metadata provider "${name}", expected one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  logger.info(`Using ${name} metadata provider`);
+  return new Provider();
+};
+
+module.exports = {
+  createProvider,
+  providers
+};
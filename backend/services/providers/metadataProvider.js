@@ -0,0 +1,46 @@
+// Interface every metadata provider implements. Methods mirror the Streaming
+// Availability endpoints and return the same response shapes, so the queries in
+// services/rapidApiService.js work unchanged whichever provider is configured:
+//
+//   searchShows(params)    -> /shows/search/filters  trending, popular, genre, service
+//   searchTitle(params)    -> /shows/search/title    search
+//   getShow(id, params)    -> /shows/{id}            details, seasons, episodes
+//   getChanges(params)     -> /changes               upcoming, new releases, expiring
+//   getTopShows(params)    -> /shows/top             top shows per service
+//   getGenres()            -> genre list
+class MetadataProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async searchShows(params) {
+    throw new Error(`${this.name} provider does not implement searchShows`);
+  }
+
+  async searchTitle(params) {
+    throw new Error(`${this.name} provider does not implement searchTitle`);
+  }
+
+  async getShow(id, params) {
+    throw new Error(`${this.name} provider does not implement getShow`);
+  }
+
+  async getChanges(params) {
+    throw new Error(`${this.name} provider does not implement getChanges`);
+  }
+
+  async getTopShows(params) {
+    throw new Error(`${this.name} provider does not implement getTopShows`);
+  }
+
+  async getGenres() {
+    throw new Error(`${this.name} provider does not implement getGenres`);
+  }
+
+  // Health details shown on /api/health and the admin upstream endpoint
+  getStatus() {
+    return { provider: this.name };
+  }
+}
+
+module.exports = MetadataProvider;
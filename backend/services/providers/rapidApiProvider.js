@@ -0,0 +1,183 @@
+const axios = require('axios');
+const MetadataProvider = require('./metadataProvider');
+const cacheService = require('../cacheService');
+const QuotaTracker = require('../quotaTracker');
+const CircuitBreaker = require('../../utils/circuitBreaker');
+const logger = require('../../utils/logger');
+const { UpstreamError } = require('../../utils/errors');
+
+const MAX_RETRIES = parseInt(process.env.UPSTREAM_MAX_RETRIES, 10) || 2;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY_MS, 10) || 300;
+// A Retry-After longer than this is not waited out, the error goes back to the client
+const MAX_RETRY_AFTER_MS = parseInt(process.env.UPSTREAM_MAX_RETRY_AFTER_MS, 10) || 10000;
+const REQUEST_TIMEOUT_MS = parseInt(process.env.UPSTREAM_TIMEOUT_MS, 10) || 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Network errors, timeouts, 429 and 5xx are worth retrying, anything else is final
+const isTransient = (error) => !error.response || error.response.status === 429 || error.response.status >= 500;
+
+// The API doesn't have a dedicated genres endpoint, these are the common genres
+const GENRES = [
+  { id: 'action', name: 'Action' },
+  { id: 'adventure', name: 'Adventure' },
+  { id: 'animation', name: 'Animation' },
+  { id: 'comedy', name: 'Comedy' },
+  { id: 'crime', name: 'Crime' },
+  { id: 'documentary', name: 'Documentary' },
+  { id: 'drama', name: 'Drama' },
+  { id: 'family', name: 'Family' },
+  { id: 'fantasy', name: 'Fantasy' },
+  { id: 'history', name: 'History' },
+  { id: 'horror', name: 'Horror' },
+  { id: 'music', name: 'Music' },
+  { id: 'mystery', name: 'Mystery' },
+  { id: 'romance', name: 'Romance' },
+  { id: 'scifi', name: 'Science Fiction' },
+  { id: 'thriller', name: 'Thriller' },
+  { id: 'war', name: 'War' },
+  { id: 'western', name: 'Western' }
+];
+
+// Streaming Availability API on RapidAPI
+class RapidApiProvider extends MetadataProvider {
+  constructor() {
+    super('rapidapi');
+    this.baseURL = 'https://streaming-availability.p.rapidapi.com';
+    this.headers = {
+      'X-RapidAPI-Key': process.env.RAPIDAPI_KEY,
+      'X-RapidAPI-Host': 'streaming-availability.p.rapidapi.com'
+    };
+    this.breaker = new CircuitBreaker('rapidapi', {
+      failureThreshold: parseInt(process.env.BREAKER_FAILURE_THRESHOLD, 10) || 5,
+      resetTimeout: parseInt(process.env.BREAKER_RESET_TIMEOUT_MS, 10) || 30000
+    });
+    this.quota = new QuotaTracker();
+  }
+
+  // Upstream responses are served through the shared cache, see services/cacheService.js
+  async makeRequest(endpoint, params = {}) {
+    return await cacheService.wrap(endpoint, params, () => this.fetchFromUpstream(endpoint, params));
+  }
+
+  // Call the API with bounded, jittered retries behind the circuit breaker
+  async fetchFromUpstream(endpoint, params = {}) {
+    if (this.quota.isExhausted()) {
+      const retryAfter = this.quota.resetAt ? Math.ceil((this.quota.resetAt - Date.now()) / 1000) : undefined;
+      throw new UpstreamError('Streaming service quota exhausted, please try again later', 429, { retryAfter });
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      if (!this.breaker.canRequest()) {
+        throw new UpstreamError('Streaming service temporarily unavailable', 503, {
+          retryAfter: Math.ceil(this.breaker.retryIn() / 1000) || 1
+        });
+      }
+
+      try {
+        const response = await axios.get(`${this.baseURL}${endpoint}`, {
+          headers: this.headers,
+          params,
+          timeout: REQUEST_TIMEOUT_MS
+        });
+        this.quota.update(response.headers);
+        this.breaker.recordSuccess();
+        return response.data;
+      } catch (error) {
+        const status = error.response && error.response.status;
+        let delay = RETRY_BASE_DELAY_MS * Math.pow(2, attempt) * Math.random();
+
+        logger.error(`RapidAPI request failed for ${endpoint} (attempt ${attempt + 1}):`, error.message);
+        if (error.response) {
+          this.quota.update(error.response.headers);
+          logger.error(`Status: ${status}, Data:`, error.response.data);
+        }
+
+        // The service answered a 4xx (rate limits included), so it isn't down
+        if (status && status < 500) {
+          this.breaker.recordSuccess();
+        } else {
+          this.breaker.recordFailure();
+        }
+
+        if (!isTransient(error)) {
+          throw new UpstreamError(
+            status === 404 ? 'Content not found' : `Failed to fetch data from streaming service: ${error.message}`,
+            status === 404 ? 404 : 502
+          );
+        }
+
+        if (status === 429) {
+          const retryAfterMs = parseRetryAfter(error.response.headers['retry-after']);
+          this.quota.recordRateLimited(retryAfterMs);
+
+          if (retryAfterMs !== null) {
+            if (retryAfterMs > MAX_RETRY_AFTER_MS || attempt >= MAX_RETRIES) {
+              throw new UpstreamError('Streaming service rate limit reached, please try again later', 429, {
+                retryAfter: Math.ceil(retryAfterMs / 1000)
+              });
+            }
+            delay = retryAfterMs;
+          }
+        }
+
+        if (attempt >= MAX_RETRIES) {
+          throw new UpstreamError(
+            status === 429
+              ? 'Streaming service rate limit reached, please try again later'
+              : `Failed to fetch data from streaming service: ${error.message}`,
+            status === 429 ? 429 : 502,
+            { transient: true }
+          );
+        }
+
+        await sleep(delay);
+      }
+    }
+  }
+
+  getStatus() {
+    return {
+      provider: this.name,
+      breaker: this.breaker.getStatus(),
+      quota: this.quota.getStatus()
+    };
+  }
+
+  async searchShows(params) {
+    return await this.makeRequest('/shows/search/filters', params);
+  }
+
+  async searchTitle(params) {
+    return await this.makeRequest('/shows/search/title', params);
+  }
+
+  async getShow(id, params) {
+    return await this.makeRequest(`/shows/${id}`, params);
+  }
+
+  async getChanges(params) {
+    return await this.makeRequest('/changes', params);
+  }
+
+  async getTopShows(params) {
+    return await this.makeRequest('/shows/top', params);
+  }
+
+  async getGenres() {
+    return { genres: GENRES };
+  }
+}
+
+module.exports = RapidApiProvider;
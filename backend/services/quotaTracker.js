@@ -0,0 +1,63 @@
+// Tracks the RapidAPI plan quota from the rate-limit headers on every upstream response
+class QuotaTracker {
+  constructor() {
+    this.limit = null;
+    this.remaining = null;
+    this.resetAt = null;
+    this.updatedAt = null;
+    this.requests = 0;
+    this.rateLimited = 0;
+  }
+
+  update(headers = {}) {
+    this.requests++;
+
+    const limit = parseInt(headers['x-ratelimit-requests-limit'], 10);
+    const remaining = parseInt(headers['x-ratelimit-requests-remaining'], 10);
+    const resetIn = parseInt(headers['x-ratelimit-requests-reset'], 10);
+
+    if (isNaN(limit) && isNaN(remaining)) {
+      return;
+    }
+
+    if (!isNaN(limit)) this.limit = limit;
+    if (!isNaN(remaining)) this.remaining = remaining;
+    if (!isNaN(resetIn)) this.resetAt = new Date(Date.now() + resetIn * 1000);
+    this.updatedAt = new Date();
+  }
+
+  recordRateLimited(retryAfterMs) {
+    this.rateLimited++;
+    this.remaining = 0;
+    this.updatedAt = new Date();
+
+    if (retryAfterMs) {
+      this.resetAt = new Date(Date.now() + retryAfterMs);
+    }
+  }
+
+  // True while the plan is known to be used up, so callers can skip the upstream call
+  isExhausted() {
+    if (this.remaining !== 0) {
+      return false;
+    }
+
+    // Without a reset header, back off for a minute before trying again
+    const until = this.resetAt || new Date(this.updatedAt.getTime() + 60 * 1000);
+    return until > new Date();
+  }
+
+  getStatus() {
+    return {
+      limit: this.limit,
+      remaining: this.remaining,
+      resetAt: this.resetAt,
+      updatedAt: this.updatedAt,
+      requests: this.requests,
+      rateLimited: this.rateLimited,
+      exhausted: this.isExhausted()
+    };
+  }
+}
+
+module.exports = QuotaTracker;
@@ -1,33 +1,110 @@
-const axios = require('axios');
+const cacheService = require('./cacheService');
+const catalogService = require('./catalogService');
+const similarityService = require('./similarityService');
+const { createProvider } = require('./providers');
 const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { encodePageToken, decodePageToken, parsePage } = require('../utils/pagination');
 
+const FILTERS_ENDPOINT = '/shows/search/filters';
+
+// How many upstream pages we are willing to walk to resolve a numeric page
+const MAX_PAGE_WALK = parseInt(process.env.MAX_PAGE_WALK, 10) || 10;
+
+// Genres of the source title queried for similar-title candidates
+const MAX_SIMILAR_GENRES = 4;
+
+// Cursors are remembered long enough for a browsing session
+const CURSOR_TTL = 60 * 60;
+
+// Content queries used by the routes, backed by the configured metadata provider
+// (see services/providers). Caching of upstream calls happens inside the provider.
 class RapidApiService {
-  constructor() {
-    this.baseURL = 'https://streaming-availability.p.rapidapi.com';
-    this.headers = {
-      'X-RapidAPI-Key': process.env.RAPIDAPI_KEY,
-      'X-RapidAPI-Host': 'streaming-availability.p.rapidapi.com'
-    };
+  constructor(provider = createProvider()) {
+    this.provider = provider;
   }
 
-  async makeRequest(endpoint, params = {}) {
-    try {
-      const response = await axios.get(`${this.baseURL}${endpoint}`, {
-        headers: this.headers,
-        params
-      });
-      return response.data;
-    } catch (error) {
-      logger.error(`RapidAPI request failed for ${endpoint}:`, error.message);
-      if (error.response) {
-        logger.error(`Status: ${error.response.status}, Data:`, error.response.data);
+  cursorKey(queryKey, page) {
+    return `cursor:${queryKey}#${page}`;
+  }
+
+  async rememberCursor(queryKey, page, cursor) {
+    await cacheService.set(this.cursorKey(queryKey, page), 'cursors', cursor, CURSOR_TTL);
+  }
+
+  // Resolve the upstream cursor for a numeric page, walking forward from the closest known page
+  async resolveCursor(params, queryKey, page) {
+    if (page === 1) {
+      return undefined;
+    }
+
+    const lowestPage = Math.max(1, page - MAX_PAGE_WALK);
+    let knownPage = page;
+    let cursor;
+
+    while (knownPage > 1) {
+      const cached = await cacheService.get(this.cursorKey(queryKey, knownPage));
+      if (cached) {
+        cursor = cached.value;
+        break;
+      }
+
+      if (knownPage === lowestPage) {
+        throw new AppError(`Page ${page} is too far ahead, follow nextPageToken instead`, 400);
+      }
+      knownPage--;
+    }
+
+    while (knownPage < page) {
+      const data = await this.provider.searchShows({ ...params, cursor });
+
+      if (!data.hasMore || !data.nextCursor) {
+        throw new AppError(`Page ${page} is out of range`, 404);
       }
-      throw new Error(`Failed to fetch data from streaming service: ${error.message}`);
+
+      knownPage++;
+      cursor = data.nextCursor;
+      await this.rememberCursor(queryKey, knownPage, cursor);
+    }
+
+    return cursor;
+  }
+
+  // Fetch a single page of /shows/search/filters as { items, nextPageToken, hasMore, page }.
+  // Clients either follow the opaque nextPageToken or ask for a numeric page.
+  // options.catalogs restricts results to those streaming services.
+  async searchFiltersPage(baseParams, { page, pageToken, catalogs } = {}) {
+    const params = catalogs && catalogs.length > 0 && !baseParams.catalogs
+      ? { ...baseParams, catalogs }
+      : baseParams;
+    const queryKey = cacheService.buildKey(FILTERS_ENDPOINT, params);
+    let currentPage;
+    let cursor;
+
+    if (pageToken) {
+      ({ page: currentPage, cursor } = decodePageToken(pageToken, queryKey));
+    } else {
+      currentPage = parsePage(page);
+      cursor = await this.resolveCursor(params, queryKey, currentPage);
+    }
+
+    const data = await this.provider.searchShows({ ...params, cursor });
+    const hasMore = Boolean(data.hasMore && data.nextCursor);
+
+    if (hasMore) {
+      await this.rememberCursor(queryKey, currentPage + 1, data.nextCursor);
     }
+
+    return {
+      items: data.shows || [],
+      nextPageToken: hasMore ? encodePageToken(queryKey, currentPage + 1, data.nextCursor) : null,
+      hasMore,
+      page: currentPage
+    };
   }
 
   // Get trending content using searchShowsByFilters with popularity ordering
-  async getTrending(country = 'us', type = 'all') {
+  async getTrending(country = 'us', type = 'all', options = {}) {
     const params = {
       country: country,
       order_by: 'popularity_1year',
@@ -38,11 +115,11 @@ class RapidApiService {
       params.show_type = type === 'series' ? 'series' : 'movie';
     }
 
-    return await this.makeRequest('/shows/search/filters', params);
+    return await this.searchFiltersPage(params, options);
   }
 
   // Get popular movies
-  async getPopularMovies(country = 'us', page = 1) {
+  async getPopularMovies(country = 'us', options = {}) {
     const params = {
       country: country,
       show_type: 'movie',
@@ -50,16 +127,11 @@ class RapidApiService {
       order_direction: 'desc'
     };
 
-    if (page > 1) {
-      // Calculate cursor for pagination - this would need to be stored from previous requests
-      // For now, we'll just return the first page
-    }
-
-    return await this.makeRequest('/shows/search/filters', params);
+    return await this.searchFiltersPage(params, options);
   }
 
   // Get popular TV shows
-  async getPopularShows(country = 'us', page = 1) {
+  async getPopularShows(country = 'us', options = {}) {
     const params = {
       country: country,
       show_type: 'series',
@@ -67,7 +139,7 @@ class RapidApiService {
       order_direction: 'desc'
     };
 
-    return await this.makeRequest('/shows/search/filters', params);
+    return await this.searchFiltersPage(params, options);
   }
 
   // Search content by title
@@ -81,20 +153,25 @@ class RapidApiService {
       params.show_type = type === 'series' ? 'series' : 'movie';
     }
 
-    return await this.makeRequest('/shows/search/title', params);
+    return await this.provider.searchTitle(params);
   }
 
   // Get content details by ID
-  async getContentDetails(id, type) {
+  async getContentDetails(id, type, country = 'us') {
     const params = {
-      country: 'us'
+      country: country
     };
 
-    return await this.makeRequest(`/shows/${id}`, params);
+    const show = await this.provider.getShow(id, params);
+
+    // Keep the local catalog warm without delaying the response
+    catalogService.upsertFromShow(show);
+
+    return show;
   }
 
   // Get content by genre
-  async getContentByGenre(genre, country = 'us', type = 'all') {
+  async getContentByGenre(genre, country = 'us', type = 'all', options = {}) {
     const params = {
       country: country,
       genres: [genre]
@@ -104,7 +181,7 @@ class RapidApiService {
       params.show_type = type === 'series' ? 'series' : 'movie';
     }
 
-    return await this.makeRequest('/shows/search/filters', params);
+    return await this.searchFiltersPage(params, options);
   }
 
   // Get upcoming movies using changes endpoint
@@ -116,7 +193,7 @@ class RapidApiService {
       show_type: 'movie'
     };
 
-    return await this.makeRequest('/changes', params);
+    return await this.provider.getChanges(params);
   }
 
   // Get now playing movies - use popular movies as fallback
@@ -133,31 +210,45 @@ class RapidApiService {
       show_type: 'series'
     };
 
-    return await this.makeRequest('/changes', params);
+    return await this.provider.getChanges(params);
   }
 
-  // Get similar content - use genre-based search as approximation
-  async getSimilarContent(id, type) {
+  // Rank titles sharing any of the source's genres by overall similarity.
+  // Without an explicit type the source's own show type is used; 'all' mixes both.
+  async getSimilarContent(id, type, country = 'us', { limit = 20 } = {}) {
+    const empty = { items: [], nextPageToken: null, hasMore: false, page: 1 };
+
     try {
-      // First get the show details to find genres
-      const showDetails = await this.getContentDetails(id, type);
+      const showDetails = await this.getContentDetails(id, type, country);
       
-      if (showDetails && showDetails.genres && showDetails.genres.length > 0) {
-        // Use the first genre to find similar content
-        const genreId = showDetails.genres[0].id;
-        return await this.getContentByGenre(genreId, 'us', type);
+      if (!showDetails || !showDetails.genres || showDetails.genres.length === 0) {
+        return empty;
       }
-      
-      // Fallback to empty results
-      return { shows: [], hasMore: false };
+
+      const showType = type === 'all' ? null : (type || showDetails.showType);
+      const genreIds = showDetails.genres.slice(0, MAX_SIMILAR_GENRES).map(genre => genre.id);
+      const results = await Promise.allSettled(
+        genreIds.map(genreId => this.getContentByGenre(genreId, country, showType || 'all'))
+      );
+
+      const candidates = [];
+      results.forEach(result => {
+        if (result.status === 'fulfilled') {
+          candidates.push(...result.value.items);
+        } else {
+          logger.warn(`Similar content candidate query failed: ${result.reason.message}`);
+        }
+      });
+
+      return { ...empty, items: similarityService.rank(showDetails, candidates, { showType, limit }) };
     } catch (error) {
       logger.error('Error fetching similar content:', error.message);
-      return { shows: [], hasMore: false };
+      return empty;
     }
   }
 
   // Get content videos - API doesn't provide video endpoints, return empty
-  async getContentVideos(id, type) {
+  async getContentVideos(id, type, country = 'us') {
     return { videos: [] };
   }
 
@@ -172,35 +263,40 @@ class RapidApiService {
       params.show_type = showType;
     }
 
-    return await this.makeRequest('/shows/top', params);
+    return await this.provider.getTopShows(params);
   }
 
   // Get new releases using changes endpoint
-  async getNewReleases(country = 'us', catalogs = ['netflix']) {
+  // options.from (unix seconds) skips older changes, options.cursor fetches a later page
+  async getNewReleases(country = 'us', catalogs = ['netflix'], { from, cursor } = {}) {
     const params = {
       country: country,
       change_type: 'new',
       item_type: 'show',
-      catalogs: catalogs
+      catalogs: catalogs,
+      ...(from && { from }),
+      ...(cursor && { cursor })
     };
 
-    return await this.makeRequest('/changes', params);
+    return await this.provider.getChanges(params);
   }
 
   // Get expiring content using changes endpoint
-  async getExpiringContent(country = 'us', catalogs = ['netflix']) {
+  async getExpiringContent(country = 'us', catalogs = ['netflix'], { from, cursor } = {}) {
     const params = {
       country: country,
       change_type: 'expiring',
       item_type: 'show',
-      catalogs: catalogs
+      catalogs: catalogs,
+      ...(from && { from }),
+      ...(cursor && { cursor })
     };
 
-    return await this.makeRequest('/changes', params);
+    return await this.provider.getChanges(params);
   }
 
   // Get content by streaming service
-  async getContentByService(service, country = 'us', type = 'all') {
+  async getContentByService(service, country = 'us', type = 'all', options = {}) {
     const params = {
       country: country,
       catalogs: [service],
@@ -212,7 +308,7 @@ class RapidApiService {
       params.show_type = type === 'series' ? 'series' : 'movie';
     }
 
-    return await this.makeRequest('/shows/search/filters', params);
+    return await this.searchFiltersPage(params, options);
   }
 
   // Search with advanced filters
@@ -229,30 +325,30 @@ class RapidApiService {
       }
     });
 
-    return await this.makeRequest('/shows/search/filters', params);
+    return await this.provider.searchShows(params);
   }
 
   // Get show by IMDb ID
   async getShowByImdbId(imdbId, country = 'us') {
     const params = { country };
-    return await this.makeRequest(`/shows/${imdbId}`, params);
+    return await this.provider.getShow(imdbId, params);
   }
 
   // Legacy method implementations for backward compatibility
-  async getContentImages(id, type) {
+  async getContentImages(id, type, country = 'us') {
     // Images are included in the show details, no separate endpoint
     try {
-      const showDetails = await this.getContentDetails(id, type);
+      const showDetails = await this.getContentDetails(id, type, country);
       return { images: showDetails.imageSet || {} };
     } catch (error) {
       return { images: {} };
     }
   }
 
-  async getContentCredits(id, type) {
+  async getContentCredits(id, type, country = 'us') {
     // Credits info is included in show details (directors, cast)
     try {
-      const showDetails = await this.getContentDetails(id, type);
+      const showDetails = await this.getContentDetails(id, type, country);
       return {
         cast: showDetails.cast || [],
         crew: showDetails.directors ? showDetails.directors.map(d => ({ name: d, job: 'Director' })) : []
@@ -262,15 +358,15 @@ class RapidApiService {
     }
   }
 
-  async getSeasonDetails(showId, seasonNumber) {
+  async getSeasonDetails(showId, seasonNumber, country = 'us') {
     // Season details would be in the show details with series_granularity=season
     const params = {
-      country: 'us',
+      country: country,
       series_granularity: 'season'
     };
     
     try {
-      const showDetails = await this.makeRequest(`/shows/${showId}`, params);
+      const showDetails = await this.provider.getShow(showId, params);
       const season = showDetails.seasons?.find(s => s.seasonNumber === seasonNumber);
       return season || null;
     } catch (error) {
@@ -278,15 +374,15 @@ class RapidApiService {
     }
   }
 
-  async getEpisodeDetails(showId, seasonNumber, episodeNumber) {
+  async getEpisodeDetails(showId, seasonNumber, episodeNumber, country = 'us') {
     // Episode details would be in the show details with series_granularity=episode
     const params = {
-      country: 'us',
+      country: country,
       series_granularity: 'episode'
     };
     
     try {
-      const showDetails = await this.makeRequest(`/shows/${showId}`, params);
+      const showDetails = await this.provider.getShow(showId, params);
       const season = showDetails.seasons?.find(s => s.seasonNumber === seasonNumber);
       const episode = season?.episodes?.find(e => e.episodeNumber === episodeNumber);
       return episode || null;
@@ -296,29 +392,11 @@ class RapidApiService {
   }
 
   async getGenres() {
-    // The API doesn't have a dedicated genres endpoint, return common genres
-    return {
-      genres: [
-        { id: 'action', name: 'Action' },
-        { id: 'adventure', name: 'Adventure' },
-        { id: 'animation', name: 'Animation' },
-        { id: 'comedy', name: 'Comedy' },
-        { id: 'crime', name: 'Crime' },
-        { id: 'documentary', name: 'Documentary' },
-        { id: 'drama', name: 'Drama' },
-        { id: 'family', name: 'Family' },
-        { id: 'fantasy', name: 'Fantasy' },
-        { id: 'history', name: 'History' },
-        { id: 'horror', name: 'Horror' },
-        { id: 'music', name: 'Music' },
-        { id: 'mystery', name: 'Mystery' },
-        { id: 'romance', name: 'Romance' },
-        { id: 'scifi', name: 'Science Fiction' },
-        { id: 'thriller', name: 'Thriller' },
-        { id: 'war', name: 'War' },
-        { id: 'western', name: 'Western' }
-      ]
-    };
+    return await this.provider.getGenres();
+  }
+
+  getUpstreamStatus() {
+    return this.provider.getStatus();
   }
 }
 
@@ -0,0 +1,95 @@
+const RatingSummary = require('../models/RatingSummary');
+const Review = require('../models/Review');
+const logger = require('../utils/logger');
+
+// Bayesian prior: titles with few reviews are pulled towards PRIOR_MEAN as if
+// they had PRIOR_WEIGHT extra reviews at that rating
+const PRIOR_MEAN = parseFloat(process.env.RATING_PRIOR_MEAN) || 6;
+const PRIOR_WEIGHT = parseInt(process.env.RATING_PRIOR_WEIGHT, 10) || 10;
+
+const bucketFor = (rating) => String(Math.min(10, Math.max(1, Math.round(rating))));
+
+class RatingSummaryService {
+  format(contentId, summary) {
+    const count = summary ? summary.count : 0;
+    const sum = summary ? summary.sum : 0;
+    const histogram = {};
+
+    for (let rating = 1; rating <= 10; rating++) {
+      histogram[rating] = (summary && summary.histogram && summary.histogram.get(String(rating))) || 0;
+    }
+
+    return {
+      contentId,
+      count,
+      mean: count > 0 ? Number((sum / count).toFixed(2)) : null,
+      bayesian: Number(((PRIOR_MEAN * PRIOR_WEIGHT + sum) / (PRIOR_WEIGHT + count)).toFixed(2)),
+      histogram
+    };
+  }
+
+  async getSummary(contentId) {
+    let summary = await RatingSummary.findOne({ contentId });
+
+    // Titles reviewed before summaries existed are built on first read
+    if (!summary && await Review.exists({ contentId, ...Review.publicFilter() })) {
+      summary = await this.rebuild(contentId);
+    }
+
+    return this.format(contentId, summary);
+  }
+
+  // Recompute a summary from the published reviews
+  async rebuild(contentId) {
+    const reviews = await Review.find({ contentId, ...Review.publicFilter() }).select('rating').lean();
+    const histogram = {};
+    let sum = 0;
+
+    reviews.forEach(review => {
+      const bucket = bucketFor(review.rating);
+      histogram[bucket] = (histogram[bucket] || 0) + 1;
+      sum += review.rating;
+    });
+
+    return await RatingSummary.findOneAndUpdate(
+      { contentId },
+      { $set: { count: reviews.length, sum, histogram } },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Apply one review change to the summary. `before` and `after` are the
+  // review's rating before and after the change, null when it didn't exist.
+  // Called after the review itself has been written.
+  async applyReviewChange(contentId, { before = null, after = null }) {
+    try {
+      if (!await RatingSummary.exists({ contentId })) {
+        await this.rebuild(contentId);
+        return;
+      }
+
+      const inc = {};
+      const add = (field, value) => {
+        inc[field] = (inc[field] || 0) + value;
+      };
+
+      if (before !== null) {
+        add('count', -1);
+        add('sum', -before);
+        add(`histogram.${bucketFor(before)}`, -1);
+      }
+
+      if (after !== null) {
+        add('count', 1);
+        add('sum', after);
+        add(`histogram.${bucketFor(after)}`, 1);
+      }
+
+      await RatingSummary.updateOne({ contentId }, { $inc: inc });
+    } catch (error) {
+      logger.error(`Failed to update rating summary for ${contentId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new RatingSummaryService();
@@ -0,0 +1,217 @@
+const Review = require('../models/Review');
+const rapidApiService = require('./rapidApiService');
+const catalogService = require('./catalogService');
+const cacheService = require('./cacheService');
+const logger = require('../utils/logger');
+
+const CACHE_TTL = parseInt(process.env.RECOMMENDATIONS_TTL, 10) || 30 * 60;
+
+// History entries at or above this progress count as finished
+const FINISHED_PROGRESS = 90;
+
+// Upstream detail lookups allowed per run for titles missing from the local catalog
+const MAX_DETAIL_LOOKUPS = 10;
+
+// How many of the strongest genres are used to pull candidates
+const CANDIDATE_GENRES = 3;
+
+const SIGNAL_WEIGHTS = {
+  favorite: 1.5,
+  preference: 1
+};
+
+class RecommendationService {
+  cacheKey(userId, country) {
+    return `recs:${userId}:${country}`;
+  }
+
+  // Drop cached picks after the user's history, favorites or reviews change
+  async invalidate(userId) {
+    try {
+      await cacheService.purge({ endpoint: `recs:${userId}` });
+    } catch (error) {
+      logger.warn(`Failed to invalidate recommendations for ${userId}: ${error.message}`);
+    }
+  }
+
+  async getForUser(user, { country, limit = 20, refresh = false } = {}) {
+    const key = this.cacheKey(user._id, country);
+
+    if (!refresh) {
+      const cached = await cacheService.get(key);
+      if (cached && !cached.stale) {
+        return { ...cached.value, items: cached.value.items.slice(0, limit), cached: true };
+      }
+    }
+
+    const result = await this.compute(user, country);
+    await cacheService.set(key, `recs:${user._id}`, result, CACHE_TTL);
+
+    return { ...result, items: result.items.slice(0, limit), cached: false };
+  }
+
+  // Collect weighted signals: each one is a title (or a preferred genre) with a weight
+  async collectSignals(user) {
+    const reviews = await Review.find({ userId: user._id }).select('contentId rating').lean();
+    const signals = [];
+
+    user.watchHistory.forEach(item => {
+      signals.push({ contentId: item.contentId, kind: 'watched', weight: Math.max(item.progress, 10) / 100 });
+    });
+
+    user.favorites.forEach(item => {
+      signals.push({ contentId: item.contentId, kind: 'favorite', weight: SIGNAL_WEIGHTS.favorite });
+    });
+
+    // Ratings above the midpoint pull towards a title's genres, below it push away
+    reviews.forEach(review => {
+      signals.push({ contentId: review.contentId, kind: 'reviewed', weight: (review.rating - 5.5) / 4.5 });
+    });
+
+    (user.preferences.genres || []).forEach(genreId => {
+      signals.push({ genreId, kind: 'preference', weight: SIGNAL_WEIGHTS.preference });
+    });
+
+    const excluded = new Set([
+      ...user.watchHistory.filter(item => item.progress >= FINISHED_PROGRESS).map(item => item.contentId),
+      ...reviews.map(review => review.contentId)
+    ]);
+
+    return { signals, excluded };
+  }
+
+  // Genres and titles of the signal titles, from the local catalog or upstream
+  async resolveTitles(contentIds, country) {
+    const catalog = await catalogService.findByIds(contentIds);
+    const missing = contentIds.filter(contentId => !catalog[contentId]).slice(0, MAX_DETAIL_LOOKUPS);
+
+    for (const contentId of missing) {
+      try {
+        const show = await rapidApiService.getContentDetails(contentId, undefined, country);
+        catalog[contentId] = { title: show.title, genres: show.genres || [] };
+      } catch (error) {
+        logger.warn(`Skipping recommendation signal ${contentId}: ${error.message}`);
+      }
+    }
+
+    return catalog;
+  }
+
+  // Per genre: total weight and the signal that contributed most, used as the reason
+  buildProfile(signals, titles) {
+    const profile = {};
+
+    const add = (genreId, weight, source) => {
+      if (!profile[genreId]) {
+        profile[genreId] = { weight: 0, topSource: null };
+      }
+
+      profile[genreId].weight += weight;
+      if (weight > 0 && (!profile[genreId].topSource || weight > profile[genreId].topSource.weight)) {
+        profile[genreId].topSource = { ...source, weight };
+      }
+    };
+
+    signals.forEach(signal => {
+      if (signal.genreId) {
+        add(signal.genreId, signal.weight, { kind: signal.kind, genreId: signal.genreId });
+        return;
+      }
+
+      const title = titles[signal.contentId];
+      if (!title) return;
+
+      title.genres.forEach(genre => {
+        add(genre.id, signal.weight, { kind: signal.kind, contentId: signal.contentId, title: title.title, genreName: genre.name });
+      });
+    });
+
+    return profile;
+  }
+
+  async fetchCandidates(profile, country) {
+    const topGenres = Object.entries(profile)
+      .filter(([, entry]) => entry.weight > 0)
+      .sort((a, b) => b[1].weight - a[1].weight)
+      .slice(0, CANDIDATE_GENRES)
+      .map(([genreId]) => genreId);
+
+    const queries = [
+      ...topGenres.map(genreId => rapidApiService.getContentByGenre(genreId, country)),
+      rapidApiService.getPopularMovies(country),
+      rapidApiService.getPopularShows(country)
+    ];
+
+    const candidates = new Map();
+    const results = await Promise.allSettled(queries);
+
+    results.forEach(result => {
+      if (result.status !== 'fulfilled') {
+        logger.warn(`Recommendation candidate query failed: ${result.reason.message}`);
+        return;
+      }
+      result.value.items.forEach(show => candidates.set(String(show.id), show));
+    });
+
+    return candidates;
+  }
+
+  describe(source, genreName) {
+    switch (source.kind) {
+      case 'favorite':
+        return `Because you added ${source.title} to your favorites`;
+      case 'reviewed':
+        return `Because you liked ${source.title}`;
+      case 'watched':
+        return `Because you watched ${source.title}`;
+      default:
+        return `Because you like ${genreName || source.genreId}`;
+    }
+  }
+
+  score(show, profile) {
+    const contributions = (show.genres || [])
+      .map(genre => ({ genre, entry: profile[genre.id] }))
+      .filter(({ entry }) => entry && entry.weight > 0)
+      .sort((a, b) => b.entry.weight - a.entry.weight);
+
+    const genreScore = contributions.reduce((sum, { entry }) => sum + entry.weight, 0);
+    // Tie-break on quality, ratings are 0-100 upstream
+    const ratingScore = (show.rating || 0) / 100;
+
+    const reasons = [];
+    contributions.forEach(({ genre, entry }) => {
+      if (!entry.topSource || reasons.length >= 2) return;
+
+      const reason = this.describe(entry.topSource, genre.name);
+      if (!reasons.includes(reason)) reasons.push(reason);
+    });
+
+    if (reasons.length === 0 && show.rating) {
+      reasons.push('Popular right now');
+    }
+
+    return { score: Number((genreScore + ratingScore).toFixed(3)), reasons };
+  }
+
+  async compute(user, country) {
+    const { signals, excluded } = await this.collectSignals(user);
+    const contentIds = [...new Set(signals.filter(signal => signal.contentId).map(signal => signal.contentId))];
+    const titles = await this.resolveTitles(contentIds, country);
+    const profile = this.buildProfile(signals, titles);
+    const candidates = await this.fetchCandidates(profile, country);
+
+    const items = [...candidates.values()]
+      .filter(show => !excluded.has(String(show.id)))
+      .map(show => ({ show, ...this.score(show, profile) }))
+      .sort((a, b) => b.score - a.score);
+
+    return {
+      items,
+      country,
+      generatedAt: new Date()
+    };
+  }
+}
+
+module.exports = new RecommendationService();
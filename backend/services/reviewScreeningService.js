@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const Review = require('../models/Review');
+const logger = require('../utils/logger');
+
+const CONFIG_PATH = process.env.SCREENING_CONFIG || path.join(__dirname, '../config/screening.json');
+
+// Outcomes from least to most severe; a review gets the most severe one matched
+const DECISIONS = ['publish', 'hold', 'reject'];
+
+const STATUS_FOR_DECISION = {
+  publish: 'published',
+  hold: 'pending',
+  reject: 'rejected'
+};
+
+// Fold common character substitutions so "sh1t" matches "shit"
+const SUBSTITUTIONS = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's' };
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ru|xyz|info|biz|ly)\b/gi;
+
+const normalize = (text) => text.toLowerCase().replace(/[013457@$]/g, char => SUBSTITUTIONS[char]);
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Lines of a wordlist file, ignoring blanks and # comments
+const readWordlist = (file) => {
+  try {
+    return fs.readFileSync(path.resolve(path.dirname(CONFIG_PATH), file), 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  } catch (error) {
+    logger.warn(`Could not read screening wordlist ${file}: ${error.message}`);
+    return [];
+  }
+};
+
+const buildMatcher = (words) => {
+  if (words.length === 0) return null;
+  return new RegExp(`\\b(?:${words.map(word => escapeRegExp(normalize(word))).join('|')})\\b`, 'gi');
+};
+
+class ReviewScreeningService {
+  constructor() {
+    this.load();
+  }
+
+  load() {
+    try {
+      this.config = JSON.parse(fs.readFileSync(CONFIG_PATH, 'utf8'));
+    } catch (error) {
+      logger.error(`Could not load review screening config from ${CONFIG_PATH}: ${error.message}`);
+      this.config = { wordlists: {}, actions: {} };
+    }
+
+    const wordlists = this.config.wordlists || {};
+    this.matchers = {
+      profanity: buildMatcher(wordlists.profanity ? readWordlist(wordlists.profanity) : []),
+      slur: buildMatcher(wordlists.slurs ? readWordlist(wordlists.slurs) : [])
+    };
+  }
+
+  // Content checks that don't need the database
+  checkText(text) {
+    const config = this.config;
+    const matches = [];
+    const normalized = normalize(text);
+
+    ['slur', 'profanity'].forEach(rule => {
+      const matcher = this.matchers[rule];
+      const found = matcher ? normalized.match(matcher) : null;
+      if (found) {
+        matches.push({ rule, detail: [...new Set(found)].join(', ') });
+      }
+    });
+
+    const links = text.match(LINK_PATTERN) || [];
+    if (config.maxLinks !== undefined && links.length > config.maxLinks) {
+      matches.push({ rule: 'link', detail: `${links.length} link(s)` });
+    }
+
+    const phrases = (config.spamPhrases || []).filter(phrase => normalized.includes(phrase.toLowerCase()));
+    if (phrases.length > 0) {
+      matches.push({ rule: 'spam_phrase', detail: phrases.join(', ') });
+    }
+
+    if (config.repeatedCharacters) {
+      const run = new RegExp(`(\\S)\\1{${config.repeatedCharacters - 1},}`);
+      const found = text.match(run);
+      if (found) {
+        matches.push({ rule: 'repeated_characters', detail: found[0] });
+      }
+    }
+
+    if (config.allCaps) {
+      const letters = text.replace(/[^a-zA-Z]/g, '');
+      const upper = letters.replace(/[^A-Z]/g, '').length;
+      if (letters.length >= config.allCaps.minLetters && upper / letters.length >= config.allCaps.ratio) {
+        matches.push({ rule: 'all_caps', detail: `${Math.round(upper / letters.length * 100)}% capitals` });
+      }
+    }
+
+    return matches;
+  }
+
+  // Reviews the user created inside the velocity window, other than the one being screened
+  async checkVelocity(userId, reviewId) {
+    const velocity = this.config.velocity;
+    if (!velocity) return null;
+
+    const since = new Date(Date.now() - velocity.windowMinutes * 60 * 1000);
+    const recent = await Review.countDocuments({
+      userId,
+      createdAt: { $gte: since },
+      ...(reviewId && { _id: { $ne: reviewId } })
+    });
+
+    if (recent >= velocity.maxReviews) {
+      return { rule: 'velocity', detail: `${recent} reviews in ${velocity.windowMinutes} minutes` };
+    }
+    return null;
+  }
+
+  // Screen a review's title and content for its author. Returns the decision,
+  // the review status it maps to and the rules that matched. Edits (`reviewId`
+  // set, `previous` its stored screening) don't post anything new, so they are
+  // only checked for velocity again when that is what held them back;
+  // otherwise resubmitting the same text would get round the limit.
+  async screen({ userId, reviewId, title, content, previous }) {
+    const matches = this.checkText(`${title}\n${content}`);
+
+    const velocityBlocked = Boolean(previous && (previous.rules || []).some(match => match.rule === 'velocity'));
+    const velocityMatch = !reviewId || velocityBlocked ? await this.checkVelocity(userId, reviewId) : null;
+    if (velocityMatch) {
+      matches.push(velocityMatch);
+    }
+
+    const actions = this.config.actions || {};
+    const decision = matches.reduce((current, match) => {
+      const action = actions[match.rule] || 'hold';
+      return DECISIONS.indexOf(action) > DECISIONS.indexOf(current) ? action : current;
+    }, 'publish');
+
+    return {
+      decision,
+      status: STATUS_FOR_DECISION[decision],
+      rules: matches,
+      screenedAt: new Date()
+    };
+  }
+}
+
+module.exports = new ReviewScreeningService();
@@ -0,0 +1,45 @@
+const SecurityEvent = require('../models/SecurityEvent');
+const logger = require('../utils/logger');
+
+class SecurityEventService {
+  // Failures are logged, never thrown, so recording an event can't break the request
+  async record(type, { userId, req, details = {} } = {}) {
+    logger.warn(`Security event ${type}${userId ? ` for user ${userId}` : ''}: ${JSON.stringify(details)}`);
+
+    try {
+      return await SecurityEvent.create({
+        type,
+        userId,
+        ip: req && req.ip,
+        userAgent: req && (req.get('user-agent') || '').slice(0, 300),
+        details
+      });
+    } catch (error) {
+      logger.error(`Failed to record ${type} security event:`, error.message);
+      return null;
+    }
+  }
+
+  async list({ type, userId, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (type) {
+      query.type = type;
+    }
+    if (userId) {
+      query.userId = userId;
+    }
+
+    const [events, total] = await Promise.all([
+      SecurityEvent.find(query)
+        .populate('userId', 'username email')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      SecurityEvent.countDocuments(query)
+    ]);
+
+    return { events, total };
+  }
+}
+
+module.exports = new SecurityEventService();
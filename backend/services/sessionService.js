@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+
+// Sessions not refreshed for this long are dropped; each refresh extends it
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS, 10) || 7;
+const SESSION_TTL_MS = SESSION_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// A refresh token replaced this recently is treated as a concurrent refresh
+// from another tab rather than as reuse of a stolen token
+const ROTATION_GRACE_SECONDS = parseInt(process.env.SESSION_ROTATION_GRACE_SECONDS, 10) || 30;
+
+const expiryFromNow = () => new Date(Date.now() + SESSION_TTL_MS);
+
+// Refresh tokens are stored hashed, so a database dump can't be used to sign in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionService {
+  // Access and refresh tokens for one session. `sid` ties both to the session
+  // so revoking it also invalidates the access token; `mfa` marks sessions that
+  // passed two-factor authentication.
+  signTokens(userId, { sessionId, mfa = false } = {}) {
+    const claims = { userId, sid: sessionId };
+    if (mfa) {
+      claims.mfa = true;
+    }
+
+    const accessToken = jwt.sign(
+      claims,
+      process.env.JWT_ACCESS_SECRET,
+      { expiresIn: process.env.JWT_ACCESS_EXPIRES_IN }
+    );
+
+    // A unique jwtid keeps rotated tokens distinct even within the same second
+    const refreshToken = jwt.sign(
+      claims,
+      process.env.JWT_REFRESH_SECRET,
+      { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN, jwtid: crypto.randomUUID() }
+    );
+
+    return { accessToken, refreshToken };
+  }
+
+  clientInfo(req) {
+    return {
+      userAgent: (req.get('user-agent') || '').slice(0, 300),
+      ip: req.ip
+    };
+  }
+
+  // Sessions whose expiry has passed are ignored straight away and removed by prune()
+  isLive(session, now = Date.now()) {
+    // Sessions from before expiresAt existed expire relative to their creation
+    const expiresAt = session.expiresAt ? session.expiresAt.getTime() : session.createdAt.getTime() + SESSION_TTL_MS;
+    return expiresAt > now;
+  }
+
+  // Sessions are only ever changed with targeted updates. Saving a reassigned
+  // array would overwrite sessions that another request rotated or created in
+  // the meantime.
+  async prune(user) {
+    const now = new Date();
+
+    await User.updateOne({ _id: user._id }, {
+      $pull: {
+        refreshTokens: {
+          $or: [
+            { expiresAt: { $lte: now } },
+            { expiresAt: { $exists: false }, createdAt: { $lte: new Date(now.getTime() - SESSION_TTL_MS) } }
+          ]
+        }
+      }
+    });
+  }
+
+  // Start a session for a user that has already been saved
+  async create(user, req, { mfa = false } = {}) {
+    await this.prune(user);
+
+    const sessionId = crypto.randomUUID();
+    const tokens = this.signTokens(user._id, { sessionId, mfa });
+
+    await User.updateOne({ _id: user._id }, {
+      $push: {
+        refreshTokens: {
+          sessionId,
+          tokenHash: hashToken(tokens.refreshToken),
+          ...this.clientInfo(req),
+          createdAt: new Date(),
+          lastUsedAt: new Date(),
+          expiresAt: expiryFromNow()
+        }
+      }
+    });
+
+    return { sessionId, ...tokens };
+  }
+
+  // Session whose current refresh token this is
+  findByToken(user, refreshToken) {
+    const hash = hashToken(refreshToken);
+    return user.refreshTokens.find(session =>
+      this.isLive(session) && (session.tokenHash === hash || (session.token && session.token === refreshToken))
+    ) || null;
+  }
+
+  findById(user, sessionId) {
+    return (sessionId && user.refreshTokens.find(session => session.sessionId === sessionId && this.isLive(session))) || null;
+  }
+
+  // Swap a session's refresh token for a new one and record the use. Only the
+  // new token's hash is kept, so the old token can never be refreshed again.
+  // The swap only happens if the session still holds the token it was read
+  // with; returns null when another request rotated or revoked it first.
+  async rotate(user, session, req, { mfa = false } = {}) {
+    const tokens = this.signTokens(user._id, { sessionId: session.sessionId, mfa });
+    const client = this.clientInfo(req);
+    const previousTokenHash = session.tokenHash || hashToken(session.token);
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        refreshTokens: {
+          $elemMatch: session.tokenHash
+            ? { sessionId: session.sessionId, tokenHash: session.tokenHash }
+            : { sessionId: session.sessionId, token: session.token }
+        }
+      },
+      {
+        $set: {
+          'refreshTokens.$.tokenHash': hashToken(tokens.refreshToken),
+          'refreshTokens.$.previousTokenHash': previousTokenHash,
+          'refreshTokens.$.userAgent': client.userAgent,
+          'refreshTokens.$.ip': client.ip,
+          'refreshTokens.$.lastUsedAt': new Date(),
+          'refreshTokens.$.expiresAt': expiryFromNow()
+        },
+        $unset: { 'refreshTokens.$.token': '' }
+      }
+    );
+
+    if (result.modifiedCount === 0) return null;
+    return { sessionId: session.sessionId, ...tokens };
+  }
+
+  // Whether a refresh token that couldn't be rotated was stolen: its session
+  // is still live but has moved on to a newer token. The token the session
+  // was rotated away from moments ago is a concurrent refresh of the same
+  // session (two tabs), not reuse.
+  async isReused(userId, sessionId, refreshToken) {
+    if (!sessionId) return false;
+
+    const user = await User.findOne(
+      { _id: userId, 'refreshTokens.sessionId': sessionId },
+      { 'refreshTokens.$': 1 }
+    );
+    const session = user && user.refreshTokens[0];
+    if (!session || !this.isLive(session)) return false;
+
+    const hash = hashToken(refreshToken);
+    if (session.tokenHash === hash || session.token === refreshToken) return false;
+
+    const justRotated = session.previousTokenHash === hash &&
+      Date.now() - session.lastUsedAt.getTime() < ROTATION_GRACE_SECONDS * 1000;
+    return !justRotated;
+  }
+
+  list(user, currentSessionId = null) {
+    return user.refreshTokens
+      .filter(session => this.isLive(session))
+      .map(session => ({
+        sessionId: session.sessionId,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session.sessionId === currentSessionId
+      }))
+      .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+  }
+
+  // Returns whether the session existed
+  async revoke(user, sessionId) {
+    const result = await User.updateOne(
+      { _id: user._id, 'refreshTokens.sessionId': sessionId },
+      { $pull: { refreshTokens: { sessionId } } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // Returns how many sessions were revoked
+  async revokeAllExcept(user, sessionId = null) {
+    const update = sessionId
+      ? { $pull: { refreshTokens: { sessionId: { $ne: sessionId } } } }
+      : { $set: { refreshTokens: [] } };
+
+    const before = await User.findOneAndUpdate({ _id: user._id }, update).select('refreshTokens.sessionId');
+    return before ? before.refreshTokens.filter(session => session.sessionId !== sessionId).length : 0;
+  }
+}
+
+module.exports = new SessionService();
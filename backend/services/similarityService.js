@@ -0,0 +1,79 @@
+// Relative weight of each signal; every signal is normalised to 0-1 first
+const WEIGHTS = {
+  genres: 0.45,
+  people: 0.25,
+  year: 0.15,
+  rating: 0.15
+};
+
+// Release years further apart than this contribute nothing
+const YEAR_WINDOW = 20;
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+const yearOf = (show) => show.releaseYear || show.firstAirYear || null;
+
+// Cast plus directors for movies, creators for series
+const peopleOf = (show) => new Set(
+  [...(show.cast || []), ...(show.directors || []), ...(show.creators || [])].map(normalize)
+);
+
+const genreIdsOf = (show) => new Set((show.genres || []).map(genre => genre.id));
+
+const overlap = (a, b) => {
+  let shared = 0;
+  a.forEach(value => {
+    if (b.has(value)) shared++;
+  });
+  return shared;
+};
+
+class SimilarityService {
+  // Score a candidate against the source title. Genres use Jaccard overlap,
+  // people saturate after three shared names.
+  score(source, candidate) {
+    const sourceGenres = genreIdsOf(source);
+    const candidateGenres = genreIdsOf(candidate);
+    const union = new Set([...sourceGenres, ...candidateGenres]).size;
+    const genres = union > 0 ? overlap(sourceGenres, candidateGenres) / union : 0;
+
+    const sharedPeople = overlap(peopleOf(source), peopleOf(candidate));
+    const people = Math.min(sharedPeople, 3) / 3;
+
+    const sourceYear = yearOf(source);
+    const candidateYear = yearOf(candidate);
+    const year = sourceYear && candidateYear
+      ? Math.max(0, 1 - Math.abs(sourceYear - candidateYear) / YEAR_WINDOW)
+      : 0;
+
+    // Ratings are 0-100 upstream
+    const rating = (candidate.rating || 0) / 100;
+
+    const score = WEIGHTS.genres * genres + WEIGHTS.people * people + WEIGHTS.year * year + WEIGHTS.rating * rating;
+
+    return Number(score.toFixed(3));
+  }
+
+  // Rank candidates for a source title, dropping the source itself, duplicates
+  // and anything of the wrong show type
+  rank(source, candidates, { showType, limit = 20 } = {}) {
+    const seen = new Set([String(source.id)]);
+    const ranked = [];
+
+    candidates.forEach(candidate => {
+      const id = String(candidate.id);
+      if (seen.has(id)) return;
+      seen.add(id);
+
+      if (showType && candidate.showType && candidate.showType !== showType) return;
+
+      ranked.push({ show: candidate, score: this.score(source, candidate) });
+    });
+
+    return ranked
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = new SimilarityService();
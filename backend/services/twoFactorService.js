@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Streaming Platform';
+const RECOVERY_CODE_COUNT = 10;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Recovery codes are compared without case or dashes, as users tend to retype them
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+class TwoFactorService {
+  async loadUser(userId) {
+    return await User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  // Start enrollment with a fresh secret; 2FA stays off until confirm()
+  async beginEnrollment(userId) {
+    const user = await this.loadUser(userId);
+    const secret = totp.generateSecret();
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: totp.otpauthUri({ secret, account: user.email, issuer: ISSUER })
+    };
+  }
+
+  // Turn 2FA on once a code from the pending secret checks out. Returns the
+  // plain recovery codes, which are never shown again, or null.
+  async confirmEnrollment(userId, code) {
+    const user = await this.loadUser(userId);
+    const pendingSecret = user.twoFactor.pendingSecret;
+
+    const step = pendingSecret ? totp.verify(pendingSecret, code) : null;
+    if (step === null) {
+      return null;
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+
+    const recoveryCodes = this.assignRecoveryCodes(user);
+    await user.save();
+
+    return recoveryCodes;
+  }
+
+  assignRecoveryCodes(user) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(5).toString('hex');
+      return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+
+    user.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+    return codes;
+  }
+
+  async regenerateRecoveryCodes(userId) {
+    const user = await this.loadUser(userId);
+    const codes = this.assignRecoveryCodes(user);
+    await user.save();
+    return codes;
+  }
+
+  // Check a TOTP code or a recovery code for a user with 2FA enabled. Accepted
+  // codes are used up: TOTP steps can't be replayed and recovery codes are removed.
+  // Returns 'totp', 'recovery' or null.
+  async verify(userId, { code, recoveryCode }) {
+    const user = await this.loadUser(userId);
+    if (!user || !user.twoFactor.enabled) {
+      return null;
+    }
+
+    if (code) {
+      const step = totp.verify(user.twoFactor.secret, code);
+      if (step === null || (user.twoFactor.lastUsedStep !== undefined && step <= user.twoFactor.lastUsedStep)) {
+        return null;
+      }
+
+      user.twoFactor.lastUsedStep = step;
+      await user.save();
+      return 'totp';
+    }
+
+    if (recoveryCode) {
+      const hash = hashRecoveryCode(recoveryCode);
+      if (!user.twoFactor.recoveryCodes.includes(hash)) {
+        return null;
+      }
+
+      user.twoFactor.recoveryCodes = user.twoFactor.recoveryCodes.filter(stored => stored !== hash);
+      await user.save();
+      return 'recovery';
+    }
+
+    return null;
+  }
+
+  async disable(userId) {
+    const user = await this.loadUser(userId);
+
+    user.twoFactor.enabled = false;
+    user.twoFactor.secret = undefined;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = [];
+    user.twoFactor.lastUsedStep = undefined;
+    user.twoFactor.enabledAt = undefined;
+    await user.save();
+  }
+
+  async remainingRecoveryCodes(userId) {
+    const user = await this.loadUser(userId);
+    return user.twoFactor.recoveryCodes.length;
+  }
+}
+
+module.exports = new TwoFactorService();
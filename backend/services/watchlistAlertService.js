@@ -0,0 +1,94 @@
+const WatchlistAlert = require('../models/WatchlistAlert');
+const logger = require('../utils/logger');
+
+class WatchlistAlertService {
+  // Match a /changes response against users' watchlists and store one alert per
+  // user, title, service and change. Returns the alerts that didn't exist yet.
+  async createFromChanges(response, country, users) {
+    const changes = (response && response.changes) || [];
+    const shows = (response && response.shows) || {};
+    const alerts = [];
+
+    for (const change of changes) {
+      if (!change.showId || !change.service) continue;
+
+      const contentId = String(change.showId);
+      const changedAt = change.timestamp ? new Date(change.timestamp * 1000) : new Date();
+
+      for (const user of users) {
+        const services = (user.preferences && user.preferences.services) || [];
+        // Users who haven't saved their services hear about every service
+        if (services.length > 0 && !services.includes(change.service.id)) continue;
+
+        const item = user.watchlist.find(entry => entry.contentId === contentId);
+        if (!item) continue;
+
+        alerts.push({
+          userId: user._id,
+          contentId,
+          contentType: item.contentType,
+          title: shows[contentId] && shows[contentId].title,
+          changeType: change.changeType,
+          service: { id: change.service.id, name: change.service.name },
+          streamingOptionType: change.streamingOptionType,
+          country,
+          link: change.link,
+          changedAt,
+          expiresOn: change.changeType === 'expiring' ? changedAt : undefined,
+          dedupeKey: [user._id, contentId, change.service.id, change.changeType, changedAt.getTime()].join(':')
+        });
+      }
+    }
+
+    if (alerts.length === 0) {
+      return [];
+    }
+
+    const result = await WatchlistAlert.bulkWrite(alerts.map(({ dedupeKey, ...fields }) => ({
+      updateOne: {
+        filter: { dedupeKey },
+        update: { $setOnInsert: fields },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    const created = Object.keys(result.upsertedIds).map(index => alerts[index]);
+    logger.info(`Watchlist alerts for ${country}: ${created.length} new, ${alerts.length - created.length} already sent`);
+    return created;
+  }
+
+  async listForUser(userId, { page = 1, limit = 20, unacknowledged = false } = {}) {
+    const query = { userId };
+    if (unacknowledged) {
+      query.acknowledgedAt = null;
+    }
+
+    const [alerts, total] = await Promise.all([
+      WatchlistAlert.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit),
+      WatchlistAlert.countDocuments(query)
+    ]);
+
+    return { alerts, total };
+  }
+
+  async acknowledge(userId, alertId) {
+    return await WatchlistAlert.findOneAndUpdate(
+      { _id: alertId, userId },
+      { $set: { acknowledgedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  async acknowledgeAll(userId) {
+    const result = await WatchlistAlert.updateMany(
+      { userId, acknowledgedAt: null },
+      { $set: { acknowledgedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+module.exports = new WatchlistAlertService();
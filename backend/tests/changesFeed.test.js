@@ -0,0 +1,47 @@
+jest.mock('../utils/logger', () => ({ warn: jest.fn() }));
+
+const ChangesFeedReader = require('../jobs/changesFeed');
+
+// Feed of changes served two per page, filtered by `from` like the API
+const feed = (timestamps) => jest.fn(async ({ from, cursor }) => {
+  const changes = timestamps.filter(timestamp => !from || timestamp >= from).map(timestamp => ({ timestamp }));
+  const offset = parseInt(cursor, 10) || 0;
+  const hasMore = offset + 2 < changes.length;
+
+  return { changes: changes.slice(offset, offset + 2), hasMore, nextCursor: hasMore ? String(offset + 2) : undefined };
+});
+
+const startedAt = new Date(1000 * 1000);
+
+describe('ChangesFeedReader', () => {
+  test('follows every page and resumes from the newest change next run', async () => {
+    const reader = new ChangesFeedReader('Test', { maxPages: 10 });
+    const fetchPage = feed([100, 200, 300, 400, 500]);
+    const seen = [];
+
+    await reader.read('us:new', startedAt, fetchPage, async (response) => seen.push(...response.changes));
+
+    expect(seen.map(change => change.timestamp)).toEqual([100, 200, 300, 400, 500]);
+    expect(fetchPage).toHaveBeenCalledTimes(3);
+    expect(reader.status()).toEqual({ 'us:new': 500 });
+
+    await reader.read('us:new', startedAt, fetchPage, async () => {});
+    expect(fetchPage).toHaveBeenLastCalledWith({ from: 500, cursor: undefined });
+  });
+
+  test('never resumes past the start of the run for changes dated in the future', async () => {
+    const reader = new ChangesFeedReader('Test', { maxPages: 10 });
+
+    await reader.read('us:expiring', startedAt, feed([900, 5000]), async () => {});
+
+    expect(reader.status()).toEqual({ 'us:expiring': 1000 });
+  });
+
+  test('keeps its place when it runs out of pages', async () => {
+    const reader = new ChangesFeedReader('Test', { maxPages: 1 });
+
+    await reader.read('us:new', startedAt, feed([100, 200, 300]), async () => {});
+
+    expect(reader.status()).toEqual({});
+  });
+});
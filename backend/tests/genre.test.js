@@ -0,0 +1,28 @@
+const Genre = require('../models/Genre');
+
+describe('Genre.nameFor', () => {
+  const genre = (localizedNames) => new Genre({ genreId: 'drama', name: 'Drama', localizedNames });
+
+  test('stores locale keys lowercase', async () => {
+    const saved = genre({ 'pt-BR': 'Drama BR', FR: 'Drame' });
+    await saved.validate();
+
+    expect([...saved.localizedNames.keys()]).toEqual(['pt-br', 'fr']);
+  });
+
+  test('matches the requested locale whatever its case', () => {
+    expect(genre({ 'pt-BR': 'Drama BR' }).nameFor('pt-BR')).toBe('Drama BR');
+    expect(genre({ 'pt-BR': 'Drama BR' }).nameFor('PT-br')).toBe('Drama BR');
+  });
+
+  test('matches mixed-case keys saved before they were lowercased', () => {
+    const saved = genre({ 'pt-BR': 'Drama BR' });
+
+    expect(saved.nameFor('pt-br')).toBe('Drama BR');
+  });
+
+  test('falls back to the language, then the default name', () => {
+    expect(genre({ fr: 'Drame' }).nameFor('fr-CA')).toBe('Drame');
+    expect(genre({ fr: 'Drame' }).nameFor('de')).toBe('Drama');
+  });
+});
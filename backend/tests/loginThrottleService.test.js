@@ -0,0 +1,193 @@
+jest.mock('../models/LoginThrottle', () => {
+  // In-memory stand-in for the collection, covering the queries the service
+  // makes: equality, $gt/$lt/$lte, $or, $inc/$set/$unset, upsert and the
+  // unique key
+  const entries = new Map();
+
+  const value = (field) => (field instanceof Date ? field.getTime() : field);
+
+  const matchesField = (actual, condition) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        if (operator === '$gt') return actual != null && value(actual) > value(operand);
+        if (operator === '$lt') return actual != null && value(actual) < value(operand);
+        if (operator === '$lte') return actual != null && value(actual) <= value(operand);
+        throw new Error(`Unsupported operator ${operator}`);
+      });
+    }
+    return value(actual == null ? null : actual) === value(condition);
+  };
+
+  const matches = (entry, filter) => Object.entries(filter).every(([field, condition]) => (field === '$or'
+    ? condition.some(alternative => matches(entry, alternative))
+    : matchesField(entry[field], condition)));
+
+  const apply = (entry, update) => {
+    Object.entries(update.$inc || {}).forEach(([field, amount]) => { entry[field] = (entry[field] || 0) + amount; });
+    Object.assign(entry, update.$set);
+    Object.keys(update.$unset || {}).forEach(field => { delete entry[field]; });
+  };
+
+  const find = (filter) => [...entries.values()].find(entry => matches(entry, filter)) || null;
+
+  return {
+    entries,
+    findOne: (filter) => ({ lean: async () => (find(filter) ? { ...find(filter) } : null) }),
+    deleteOne: async (filter) => {
+      const entry = find(filter);
+      if (entry) entries.delete(entry.key);
+      return { deletedCount: entry ? 1 : 0 };
+    },
+    updateOne: async (filter, update) => {
+      const entry = find(filter);
+      if (entry) apply(entry, update);
+      return { modifiedCount: entry ? 1 : 0 };
+    },
+    findOneAndUpdate: async (filter, update) => {
+      let entry = find(filter);
+      if (!entry) {
+        if (entries.has(filter.key)) {
+          throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+        }
+        entry = { key: filter.key, failures: filter.failures };
+        entries.set(entry.key, entry);
+      }
+      apply(entry, update);
+      return { ...entry };
+    }
+  };
+});
+
+jest.mock('../services/securityEventService', () => ({ record: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ notify: jest.fn() }));
+
+const LoginThrottle = require('../models/LoginThrottle');
+const securityEventService = require('../services/securityEventService');
+const notificationService = require('../services/notificationService');
+const loginThrottleService = require('../services/loginThrottleService');
+
+const EMAIL = 'ada@example.com';
+const req = { ip: '203.0.113.7' };
+
+const attempt = () => loginThrottleService.attempt({ email: EMAIL, ip: req.ip });
+
+// A claimed attempt that then fails the password check
+const fail = async () => {
+  const claimed = await attempt();
+  expect(claimed.allowed).toBe(true);
+  await loginThrottleService.recordFailure({ attempt: claimed, email: EMAIL, userId: 'user-1', req });
+  return claimed;
+};
+
+const advance = (ms) => jest.setSystemTime(Date.now() + ms);
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00Z') });
+  LoginThrottle.entries.clear();
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('loginThrottleService', () => {
+  test('allows the free attempts without a delay', async () => {
+    await fail();
+    await fail();
+
+    expect((await attempt()).allowed).toBe(true);
+  });
+
+  test('delays attempts after the free ones, doubling each time', async () => {
+    await fail();
+    await fail();
+    await fail();
+
+    const refused = await attempt();
+    expect(refused).toEqual({ allowed: false, locked: false, retryAfter: 1 });
+
+    advance(1000);
+    await fail();
+
+    expect((await attempt()).retryAfter).toBe(2);
+    advance(1999);
+    expect((await attempt()).allowed).toBe(false);
+    advance(1);
+    expect((await attempt()).allowed).toBe(true);
+  });
+
+  test('locks the account on the fifth failure and reports it', async () => {
+    for (let failures = 1; failures <= 5; failures++) {
+      await fail();
+      advance(30 * 1000);
+    }
+
+    expect(securityEventService.record).toHaveBeenCalledWith('account_locked', expect.objectContaining({ userId: 'user-1' }));
+    expect(notificationService.notify).toHaveBeenCalledWith('user-1', 'security', expect.any(Object));
+
+    const refused = await attempt();
+    expect(refused.allowed).toBe(false);
+    expect(refused.locked).toBe(true);
+    expect(refused.retryAfter).toBe(15 * 60 - 30);
+
+    advance(15 * 60 * 1000);
+    expect((await attempt()).allowed).toBe(true);
+  });
+
+  test('counts refused attempts as nothing', async () => {
+    await fail();
+    await fail();
+    await fail();
+    await attempt();
+    await attempt();
+
+    expect(LoginThrottle.entries.get(`account:${EMAIL}`).failures).toBe(3);
+  });
+
+  test('lets only one of several parallel attempts past a delay', async () => {
+    await fail();
+    await fail();
+
+    const results = await Promise.all([attempt(), attempt(), attempt()]);
+
+    expect(results.filter(result => result.allowed)).toHaveLength(1);
+    expect(LoginThrottle.entries.get(`account:${EMAIL}`).failures).toBe(3);
+  });
+
+  test('a success clears the account and refunds the address', async () => {
+    await fail();
+    await fail();
+
+    const claimed = await attempt();
+    await loginThrottleService.recordSuccess({ attempt: claimed, email: EMAIL });
+
+    expect(LoginThrottle.entries.has(`account:${EMAIL}`)).toBe(false);
+    expect(LoginThrottle.entries.get(`ip:${req.ip}`).failures).toBe(2);
+  });
+
+  test('a released attempt gives back its failure and delay', async () => {
+    await fail();
+    await fail();
+
+    const claimed = await attempt();
+    await loginThrottleService.release(claimed);
+
+    expect(LoginThrottle.entries.get(`account:${EMAIL}`).failures).toBe(2);
+    expect((await attempt()).allowed).toBe(true);
+  });
+
+  test('locks an address after twenty failures across accounts', async () => {
+    for (let account = 1; account <= 20; account++) {
+      const claimed = await loginThrottleService.attempt({ email: `user${account}@example.com`, ip: req.ip });
+      await loginThrottleService.recordFailure({ attempt: claimed, email: `user${account}@example.com`, req });
+    }
+
+    expect(securityEventService.record).toHaveBeenCalledWith('ip_locked', expect.any(Object));
+
+    const refused = await loginThrottleService.attempt({ email: 'someone@example.com', ip: req.ip });
+    expect(refused.locked).toBe(true);
+    // Refused by the address, so the account isn't charged for it
+    expect(LoginThrottle.entries.get('account:someone@example.com').failures).toBe(0);
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../models/Review', () => ({ countDocuments: jest.fn() }));
+
+const Review = require('../models/Review');
+const reviewScreeningService = require('../services/reviewScreeningService');
+
+const CLEAN = {
+  title: 'A slow burn that pays off',
+  content: 'The first episodes drag a little, but the last act ties every thread together.'
+};
+
+const rulesOf = (screening) => screening.rules.map(match => match.rule);
+
+beforeEach(() => {
+  Review.countDocuments.mockReset();
+  Review.countDocuments.mockResolvedValue(0);
+});
+
+describe('reviewScreeningService.screen', () => {
+  test('publishes a clean review', async () => {
+    const screening = await reviewScreeningService.screen({ userId: 'user-1', ...CLEAN });
+
+    expect(screening).toMatchObject({ decision: 'publish', status: 'published', rules: [] });
+    expect(screening.screenedAt).toBeInstanceOf(Date);
+  });
+
+  test('holds profanity, including common substitutions', async () => {
+    const screening = await reviewScreeningService.screen({ userId: 'user-1', ...CLEAN, content: 'What a load of bullsh1t.' });
+
+    expect(screening).toMatchObject({ decision: 'hold', status: 'pending' });
+    expect(screening.rules).toEqual([{ rule: 'profanity', detail: 'bullshit' }]);
+  });
+
+  test('holds links, spam phrases, repeated characters and shouting', async () => {
+    const cases = [
+      ['Watch it free at www.example.com', 'link'],
+      ['Great show, use my code for a discount', 'spam_phrase'],
+      ['Sooooooo good', 'repeated_characters'],
+      ['THIS IS THE BEST SHOW I HAVE EVER SEEN', 'all_caps']
+    ];
+
+    for (const [content, rule] of cases) {
+      const screening = await reviewScreeningService.screen({ userId: 'user-1', title: 'Review', content });
+
+      expect(screening.decision).toBe('hold');
+      expect(rulesOf(screening)).toContain(rule);
+    }
+  });
+
+  test('rejects a new review past the velocity limit', async () => {
+    Review.countDocuments.mockResolvedValue(5);
+
+    const screening = await reviewScreeningService.screen({ userId: 'user-1', ...CLEAN });
+
+    expect(screening).toMatchObject({ decision: 'reject', status: 'rejected' });
+    expect(rulesOf(screening)).toEqual(['velocity']);
+  });
+
+  test('lets a new review under the velocity limit through', async () => {
+    Review.countDocuments.mockResolvedValue(4);
+
+    expect((await reviewScreeningService.screen({ userId: 'user-1', ...CLEAN })).decision).toBe('publish');
+  });
+
+  test('does not count edits of a review velocity never held against velocity', async () => {
+    Review.countDocuments.mockResolvedValue(5);
+
+    const screening = await reviewScreeningService.screen({
+      userId: 'user-1',
+      reviewId: 'review-1',
+      ...CLEAN,
+      previous: { decision: 'publish', rules: [] }
+    });
+
+    expect(screening.decision).toBe('publish');
+    expect(Review.countDocuments).not.toHaveBeenCalled();
+  });
+
+  test('keeps rejecting an edit of a velocity-rejected review while still over the limit', async () => {
+    Review.countDocuments.mockResolvedValue(5);
+    const previous = await reviewScreeningService.screen({ userId: 'user-1', ...CLEAN });
+
+    const screening = await reviewScreeningService.screen({ userId: 'user-1', reviewId: 'review-1', ...CLEAN, previous });
+
+    expect(screening).toMatchObject({ decision: 'reject', status: 'rejected' });
+    expect(rulesOf(screening)).toEqual(['velocity']);
+    // The review being edited doesn't count towards its own limit
+    expect(Review.countDocuments).toHaveBeenLastCalledWith(expect.objectContaining({ _id: { $ne: 'review-1' } }));
+  });
+
+  test('publishes an edit of a velocity-rejected review once under the limit', async () => {
+    const previous = { decision: 'reject', rules: [{ rule: 'velocity', detail: '5 reviews in 60 minutes' }] };
+    Review.countDocuments.mockResolvedValue(4);
+
+    const screening = await reviewScreeningService.screen({ userId: 'user-1', reviewId: 'review-1', ...CLEAN, previous });
+
+    expect(screening.decision).toBe('publish');
+  });
+
+  test('applies the most severe action matched', async () => {
+    Review.countDocuments.mockResolvedValue(5);
+
+    const screening = await reviewScreeningService.screen({ userId: 'user-1', title: 'Review', content: 'click here: www.example.com' });
+
+    expect(screening.decision).toBe('reject');
+    expect(rulesOf(screening)).toEqual(expect.arrayContaining(['link', 'spam_phrase', 'velocity']));
+  });
+});
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+process.env.JWT_ACCESS_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+process.env.JWT_ACCESS_EXPIRES_IN = '15m';
+process.env.JWT_REFRESH_EXPIRES_IN = '7d';
+
+jest.mock('../models/User', () => ({
+  updateOne: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn()
+}));
+
+const User = require('../models/User');
+const sessionService = require('../services/sessionService');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const req = { ip: '203.0.113.7', get: () => 'test-agent' };
+const user = { _id: 'user-1' };
+
+const liveSession = (fields = {}) => ({
+  sessionId: 'session-1',
+  tokenHash: hash('current-token'),
+  createdAt: new Date(),
+  lastUsedAt: new Date(),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...fields
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('sessionService.rotate', () => {
+  test('swaps the token only if the session still holds the one it was read with', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    const session = liveSession();
+
+    const tokens = await sessionService.rotate(user, session, req);
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({
+      _id: 'user-1',
+      refreshTokens: { $elemMatch: { sessionId: 'session-1', tokenHash: hash('current-token') } }
+    });
+    expect(update.$set['refreshTokens.$.tokenHash']).toBe(hash(tokens.refreshToken));
+    expect(update.$set['refreshTokens.$.previousTokenHash']).toBe(hash('current-token'));
+    expect(tokens.sessionId).toBe('session-1');
+  });
+
+  test('matches sessions from before hashing on their plaintext token', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    const session = liveSession({ tokenHash: undefined, token: 'legacy-token' });
+
+    await sessionService.rotate(user, session, req);
+
+    const [filter, update] = User.updateOne.mock.calls[0];
+    expect(filter.refreshTokens.$elemMatch).toEqual({ sessionId: 'session-1', token: 'legacy-token' });
+    expect(update.$set['refreshTokens.$.previousTokenHash']).toBe(hash('legacy-token'));
+    expect(update.$unset).toEqual({ 'refreshTokens.$.token': '' });
+  });
+
+  test('returns null when another request rotated the session first', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await sessionService.rotate(user, liveSession(), req)).toBeNull();
+  });
+
+  test('issues distinct tokens on every rotation', async () => {
+    User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+
+    const first = await sessionService.rotate(user, liveSession(), req);
+    const second = await sessionService.rotate(user, liveSession(), req);
+
+    expect(first.refreshToken).not.toBe(second.refreshToken);
+  });
+});
+
+describe('sessionService.isReused', () => {
+  const storedSession = (session) => User.findOne.mockResolvedValue(session ? { refreshTokens: [session] } : null);
+
+  test('is reuse when the session has moved on to a newer token', async () => {
+    storedSession(liveSession({ previousTokenHash: hash('previous-token') }));
+
+    expect(await sessionService.isReused('user-1', 'session-1', 'stolen-token')).toBe(true);
+  });
+
+  test('is not reuse while the session still holds the token', async () => {
+    storedSession(liveSession());
+
+    expect(await sessionService.isReused('user-1', 'session-1', 'current-token')).toBe(false);
+  });
+
+  test('is not reuse for the token replaced moments ago by a concurrent refresh', async () => {
+    storedSession(liveSession({ previousTokenHash: hash('previous-token') }));
+
+    expect(await sessionService.isReused('user-1', 'session-1', 'previous-token')).toBe(false);
+  });
+
+  test('is reuse for the previous token once the grace period has passed', async () => {
+    storedSession(liveSession({
+      previousTokenHash: hash('previous-token'),
+      lastUsedAt: new Date(Date.now() - 10 * 60 * 1000)
+    }));
+
+    expect(await sessionService.isReused('user-1', 'session-1', 'previous-token')).toBe(true);
+  });
+
+  test('is not reuse when the session is gone or expired', async () => {
+    storedSession(null);
+    expect(await sessionService.isReused('user-1', 'session-1', 'stolen-token')).toBe(false);
+
+    storedSession(liveSession({ expiresAt: new Date(Date.now() - 1000) }));
+    expect(await sessionService.isReused('user-1', 'session-1', 'stolen-token')).toBe(false);
+  });
+
+  test('is not reuse for tokens without a session id', async () => {
+    expect(await sessionService.isReused('user-1', undefined, 'old-token')).toBe(false);
+    expect(User.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('sessionService.findByToken', () => {
+  test('finds live sessions by token hash and ignores expired ones', () => {
+    const expired = liveSession({ sessionId: 'session-2', tokenHash: hash('expired-token'), expiresAt: new Date(Date.now() - 1000) });
+    const holder = { refreshTokens: [liveSession(), expired] };
+
+    expect(sessionService.findByToken(holder, 'current-token').sessionId).toBe('session-1');
+    expect(sessionService.findByToken(holder, 'expired-token')).toBeNull();
+  });
+});
+
+describe('sessionService.revokeAllExcept', () => {
+  test('pulls every other session and reports how many there were', async () => {
+    const select = jest.fn().mockResolvedValue({
+      refreshTokens: [{ sessionId: 'session-1' }, { sessionId: 'session-2' }, { sessionId: 'session-3' }]
+    });
+    User.findOneAndUpdate.mockReturnValue({ select });
+
+    const revoked = await sessionService.revokeAllExcept(user, 'session-1');
+
+    expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: 'user-1' },
+      { $pull: { refreshTokens: { sessionId: { $ne: 'session-1' } } } }
+    );
+    expect(revoked).toBe(2);
+  });
+});
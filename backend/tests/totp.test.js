@@ -0,0 +1,62 @@
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 key. The RFC lists 8 digit codes; authenticator
+// apps use the last 6.
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+describe('totp', () => {
+  describe('generate', () => {
+    test.each(RFC_VECTORS)('matches the RFC 6238 vector at %i seconds', (seconds, code) => {
+      expect(totp.generate(RFC_SECRET, seconds * 1000)).toBe(code.slice(-6));
+    });
+  });
+
+  describe('verify', () => {
+    const time = 1234567890 * 1000;
+
+    test('returns the time step of a current code', () => {
+      expect(totp.verify(RFC_SECRET, '005924', { time })).toBe(Math.floor(1234567890 / 30));
+    });
+
+    test('accepts codes one step either side for clock drift', () => {
+      expect(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, time - 30 * 1000), { time })).not.toBeNull();
+      expect(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, time + 30 * 1000), { time })).not.toBeNull();
+    });
+
+    test('rejects codes outside the window', () => {
+      expect(totp.verify(RFC_SECRET, totp.generate(RFC_SECRET, time - 90 * 1000), { time })).toBeNull();
+    });
+
+    test('rejects anything that is not six digits', () => {
+      expect(totp.verify(RFC_SECRET, '5924', { time })).toBeNull();
+      expect(totp.verify(RFC_SECRET, 'abcdef', { time })).toBeNull();
+    });
+  });
+
+  describe('base32', () => {
+    test('round-trips a generated secret', () => {
+      const secret = totp.generateSecret();
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.base32Encode(totp.base32Decode(secret))).toBe(secret);
+    });
+
+    test('rejects characters outside the alphabet', () => {
+      expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  test('otpauthUri carries the secret and issuer', () => {
+    const uri = totp.otpauthUri({ secret: RFC_SECRET, account: 'ada@example.com', issuer: 'Streaming' });
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Streaming%3Aada%40example\.com\?/);
+    expect(new URL(uri).searchParams.get('secret')).toBe(RFC_SECRET);
+  });
+});
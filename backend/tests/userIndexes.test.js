@@ -0,0 +1,51 @@
+const User = require('../models/User');
+
+// Stand-in for the driver collection, keyed by index name
+const fakeCollection = (names, { missingNamespace = false } = {}) => {
+  const indexes = new Set(names);
+
+  return {
+    indexes,
+    dropIndex: jest.fn(async (name) => {
+      if (missingNamespace) {
+        throw Object.assign(new Error('ns not found'), { code: 26 });
+      }
+      if (!indexes.has(name)) {
+        throw Object.assign(new Error(`index not found with name [${name}]`), { code: 27 });
+      }
+      indexes.delete(name);
+    })
+  };
+};
+
+const dropLegacyIndexes = (collection) => User.dropLegacyIndexes.call({ collection });
+
+describe('User.dropLegacyIndexes', () => {
+  test('drops the old refresh token TTL index and keeps the rest', async () => {
+    const collection = fakeCollection(['_id_', 'email_1', 'refreshTokens.createdAt_1']);
+
+    expect(await dropLegacyIndexes(collection)).toEqual(['refreshTokens.createdAt_1']);
+    expect([...collection.indexes]).toEqual(['_id_', 'email_1']);
+  });
+
+  test('does nothing once the index is gone', async () => {
+    const collection = fakeCollection(['_id_', 'email_1']);
+
+    expect(await dropLegacyIndexes(collection)).toEqual([]);
+    expect(await dropLegacyIndexes(fakeCollection([], { missingNamespace: true }))).toEqual([]);
+  });
+
+  test('passes on other errors', async () => {
+    const collection = { dropIndex: jest.fn().mockRejectedValue(Object.assign(new Error('not authorized'), { code: 13 })) };
+
+    await expect(dropLegacyIndexes(collection)).rejects.toThrow('not authorized');
+  });
+
+  test('no longer declares a TTL on session creation time', () => {
+    const ttlIndexes = User.schema.indexes().filter(([, options]) => options.expireAfterSeconds !== undefined);
+    const createdAt = User.schema.path('refreshTokens').schema.path('createdAt');
+
+    expect(ttlIndexes).toEqual([]);
+    expect(createdAt.options.expires).toBeUndefined();
+  });
+});
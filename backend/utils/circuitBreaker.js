@@ -0,0 +1,71 @@
+// Circuit breaker for calls to an unreliable dependency.
+// closed: calls flow normally, consecutive failures are counted
+// open: calls fail fast until resetTimeout has passed
+// half_open: a single trial call decides whether to close or re-open
+class CircuitBreaker {
+  constructor(name, { failureThreshold = 5, resetTimeout = 30000 } = {}) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.reset();
+  }
+
+  reset() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+
+  canRequest() {
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half_open';
+    }
+
+    if (this.state === 'half_open' && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  recordSuccess() {
+    this.reset();
+  }
+
+  recordFailure() {
+    this.failures++;
+    this.trialInProgress = false;
+
+    if (this.state === 'half_open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Milliseconds until a trial call will be allowed
+  retryIn() {
+    if (this.state !== 'open') {
+      return 0;
+    }
+    return Math.max(0, this.resetTimeout - (Date.now() - this.openedAt));
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      retryInMs: this.retryIn()
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
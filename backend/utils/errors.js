@@ -0,0 +1,24 @@
+// Error carrying an HTTP status code, picked up by middleware/errorHandler.js
+class AppError extends Error {
+  constructor(message, statusCode = 500) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Failure talking to the metadata provider. retryAfter is in seconds and is
+// sent back to the client as a Retry-After header.
+class UpstreamError extends AppError {
+  constructor(message, statusCode = 502, { retryAfter, transient = false } = {}) {
+    super(message, statusCode);
+    this.name = 'UpstreamError';
+    this.retryAfter = retryAfter;
+    this.transient = transient;
+  }
+}
+
+module.exports = {
+  AppError,
+  UpstreamError
+};
@@ -0,0 +1,49 @@
+const crypto = require('crypto');
+const { AppError } = require('./errors');
+
+// Page tokens are opaque to clients: base64url encoded JSON holding the query
+// fingerprint, the page number and the upstream cursor for that page.
+const queryFingerprint = (queryKey) => {
+  return crypto.createHash('sha1').update(queryKey).digest('hex').slice(0, 16);
+};
+
+const encodePageToken = (queryKey, page, cursor) => {
+  const payload = { q: queryFingerprint(queryKey), p: page, c: cursor };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodePageToken = (token, queryKey) => {
+  let payload;
+
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AppError('Invalid page token', 400);
+  }
+
+  if (!payload || typeof payload.c !== 'string' || !Number.isInteger(payload.p)) {
+    throw new AppError('Invalid page token', 400);
+  }
+
+  if (payload.q !== queryFingerprint(queryKey)) {
+    throw new AppError('Page token does not match this query', 400);
+  }
+
+  return { page: payload.p, cursor: payload.c };
+};
+
+const parsePage = (page) => {
+  const parsed = parseInt(page, 10);
+
+  if (page !== undefined && (isNaN(parsed) || parsed < 1)) {
+    throw new AppError('Page must be a positive integer', 400);
+  }
+
+  return parsed || 1;
+};
+
+module.exports = {
+  encodePageToken,
+  decodePageToken,
+  parsePage
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8;
+const MAX_LENGTH = parseInt(process.env.PASSWORD_MAX_LENGTH, 10) || 128;
+const BREACHED_LIST = process.env.PASSWORD_BREACHED_LIST || path.join(__dirname, '../config/breached-passwords.txt');
+
+let breached = null;
+
+// Loaded on first use; a missing list disables the check rather than blocking every password
+const loadBreached = () => {
+  if (!breached) {
+    try {
+      breached = new Set(fs.readFileSync(BREACHED_LIST, 'utf8')
+        .split('\n')
+        .map(line => line.trim().toLowerCase())
+        .filter(line => line && !line.startsWith('#')));
+    } catch (error) {
+      logger.warn(`Could not read breached password list ${BREACHED_LIST}: ${error.message}`);
+      breached = new Set();
+    }
+  }
+  return breached;
+};
+
+// Returns the policy violations for a new password, empty when it is acceptable.
+// `user` supplies the username and email the password must not match.
+const checkPassword = (password, user = {}) => {
+  const errors = [];
+  const lowered = password.toLowerCase();
+
+  if (password.length < MIN_LENGTH) {
+    errors.push(`Password must be at least ${MIN_LENGTH} characters`);
+  }
+
+  if (password.length > MAX_LENGTH) {
+    errors.push(`Password must be at most ${MAX_LENGTH} characters`);
+  }
+
+  const personal = [user.username, user.email, user.email && user.email.split('@')[0]]
+    .filter(Boolean)
+    .map(value => value.toLowerCase());
+  if (personal.includes(lowered)) {
+    errors.push('Password must not match your username or email');
+  }
+
+  if (loadBreached().has(lowered)) {
+    errors.push('Password appears in a list of breached passwords');
+  }
+
+  return errors;
+};
+
+module.exports = {
+  checkPassword
+};
@@ -0,0 +1,81 @@
+// Inline spoilers are marked as [spoiler]...[/spoiler] in review content
+const SPOILER_PATTERN = /\[spoiler\]([\s\S]*?)\[\/spoiler\]/gi;
+
+const REDACTED_TEXT = '[spoiler hidden]';
+
+// An episode counts as watched once the viewer is this far through it
+const WATCHED_PROGRESS = 90;
+
+const hasInlineSpoilers = (text) => {
+  SPOILER_PATTERN.lastIndex = 0;
+  return SPOILER_PATTERN.test(text || '');
+};
+
+const redactInline = (text) => (text || '').replace(SPOILER_PATTERN, REDACTED_TEXT);
+
+// Whether the viewer's watch history puts them past the point a review covers.
+// History keeps one entry per title with the latest position watched.
+const hasWatchedPast = (review, user) => {
+  if (!user || !user.watchHistory) return false;
+
+  const entry = user.watchHistory.find(item => item.contentId === review.contentId);
+  if (!entry) return false;
+
+  const finished = entry.progress >= WATCHED_PROGRESS;
+
+  // Reviews without a season cover the whole title, only a finished movie
+  // (history without a season) is far enough
+  if (!review.seasonNumber) {
+    return !entry.seasonNumber && finished;
+  }
+
+  if (!entry.seasonNumber) return false;
+  if (entry.seasonNumber !== review.seasonNumber) {
+    return entry.seasonNumber > review.seasonNumber;
+  }
+
+  if (!review.episodeNumber) return false;
+  if (!entry.episodeNumber) return false;
+  if (entry.episodeNumber !== review.episodeNumber) {
+    return entry.episodeNumber > review.episodeNumber;
+  }
+
+  return finished;
+};
+
+// Prepare a review object for a viewer: spoilers stay in place when revealed
+// (so clients can style them) and are blanked out otherwise
+const applySpoilerPolicy = (review, user, { reveal = false } = {}) => {
+  const inline = hasInlineSpoilers(review.content);
+
+  if (!review.isSpoiler && !inline) {
+    return { ...review, spoiler: { isSpoiler: false, hasInlineSpoilers: false, redacted: false } };
+  }
+
+  const isAuthor = user && review.userId && (review.userId._id || review.userId).toString() === user._id.toString();
+  const revealed = reveal || isAuthor || hasWatchedPast(review, user);
+
+  let content = review.content;
+  if (!revealed) {
+    content = review.isSpoiler ? null : redactInline(review.content);
+  }
+
+  return {
+    ...review,
+    content,
+    spoiler: {
+      isSpoiler: Boolean(review.isSpoiler),
+      hasInlineSpoilers: inline,
+      seasonNumber: review.seasonNumber,
+      episodeNumber: review.episodeNumber,
+      redacted: !revealed
+    }
+  };
+};
+
+module.exports = {
+  hasInlineSpoilers,
+  redactInline,
+  hasWatchedPast,
+  applySpoilerPolicy
+};